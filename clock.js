@@ -0,0 +1,86 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./gameState'));
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Clock = factory(root.TD.GameState);
+    }
+})(this, function(GameState) {
+
+    // Turns wall-clock time into simulation ticks for `target`, anything with
+    // a `stepTick()` (a GameState, a Replay, the server). The simulation only
+    // ever reads its own `time`, which moves one tick at a time, so fire
+    // rates, spawn intervals and effect durations all pause, speed up and
+    // single-step with the clock.
+    function Clock(target, options) {
+        options = options || {};
+        this.target = target;
+        this.speed = 1;
+        this.paused = false;
+        this.accumulator = 0;
+        this.maxTicksPerUpdate = options.maxTicksPerUpdate || 10;
+    }
+
+    Clock.SPEEDS = [1, 2, 4];
+
+    // Advance by `elapsed` milliseconds of wall-clock time at the current
+    // speed and return how many ticks ran. Time beyond `maxTicksPerUpdate`
+    // ticks (per 1x of speed) is dropped, so a backgrounded tab doesn't come
+    // back to a long freeze while the simulation catches up.
+    Clock.prototype.update = function(elapsed) {
+        if (this.paused)
+            return 0;
+        var limit = GameState.TICK_MS * this.maxTicksPerUpdate * this.speed;
+        this.accumulator = Math.min(this.accumulator + elapsed * this.speed, limit);
+        var ticks = 0;
+        while (this.accumulator >= GameState.TICK_MS && !this.isFinished()) {
+            this.accumulator -= GameState.TICK_MS;
+            this.target.stepTick();
+            ticks += 1;
+        }
+        return ticks;
+    };
+
+    // Advance exactly one tick, for frame-by-frame stepping while paused.
+    Clock.prototype.step = function() {
+        if (this.isFinished())
+            return 0;
+        this.target.stepTick();
+        return 1;
+    };
+
+    Clock.prototype.pause = function() {
+        this.paused = true;
+    };
+
+    Clock.prototype.resume = function() {
+        this.paused = false;
+        this.accumulator = 0;
+    };
+
+    Clock.prototype.togglePause = function() {
+        if (this.paused)
+            this.resume();
+        else
+            this.pause();
+    };
+
+    Clock.prototype.setSpeed = function(speed) {
+        if (!(speed > 0))
+            throw new Error('Clock speed must be a positive number, got ' + speed);
+        this.speed = speed;
+    };
+
+    // 1x, 2x, 4x, then back to 1x.
+    Clock.prototype.nextSpeed = function() {
+        var index = Clock.SPEEDS.indexOf(this.speed);
+        this.setSpeed(Clock.SPEEDS[(index + 1) % Clock.SPEEDS.length]);
+        return this.speed;
+    };
+
+    Clock.prototype.isFinished = function() {
+        return typeof this.target.isFinished === 'function' && this.target.isFinished();
+    };
+
+    return Clock;
+});
@@ -0,0 +1,153 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Commands = factory();
+    }
+})(this, function() {
+
+    // Every player action is a plain JSON object with a `type`, e.g.
+    //
+    //     { type: 'PlaceTower', tower: 'basic', x: 150, y: 300 }
+    //     { type: 'PlaceTower', tower: 'ballista', x: 150, y: 300, facing: 90 }
+    //     { type: 'UpgradeTower', tower: 4, upgrade: 'sniper' }
+    //     { type: 'SellTower', tower: 4 }
+    //     { type: 'SetTargeting', tower: 4, targeting: 'WEAKEST_PERCENT' }
+    //     { type: 'StartWave' }
+    //
+    // so keyboard input, sockets, bots and replays all go through `apply`.
+    // Handlers validate first and only then touch the state: a rejected
+    // command never changes anything.
+
+    var rejections = {
+        UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+        INVALID_COMMAND: 'INVALID_COMMAND',
+        OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+        UNKNOWN_TOWER: 'UNKNOWN_TOWER',
+        OCCUPIED: 'OCCUPIED',
+        INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+        TOWER_NOT_FOUND: 'TOWER_NOT_FOUND',
+        UNKNOWN_UPGRADE: 'UNKNOWN_UPGRADE',
+        UNKNOWN_TARGETING: 'UNKNOWN_TARGETING',
+        WAVE_IN_PROGRESS: 'WAVE_IN_PROGRESS',
+        NO_MORE_WAVES: 'NO_MORE_WAVES',
+    };
+
+    var handlers = {
+
+        PlaceTower: function(state, command) {
+            if (!isNumber(command.x) || !isNumber(command.y))
+                return reject(rejections.INVALID_COMMAND, 'x and y must be numbers');
+            if (command.x < 0 || command.x > state.width || command.y < 0 || command.y > state.height)
+                return reject(rejections.OUT_OF_BOUNDS, 'tower must be placed inside the map');
+            if (!state.towerTypes.hasOwnProperty(command.tower))
+                return reject(rejections.UNKNOWN_TOWER, 'unknown tower type ' + command.tower);
+            var definition = state.towerTypes[command.tower];
+            if (command.facing !== undefined && !isNumber(command.facing))
+                return reject(rejections.INVALID_COMMAND, 'facing must be a number of degrees');
+            if (command.facing !== undefined && !(definition.turret && definition.turret.arc))
+                return reject(rejections.INVALID_COMMAND, command.tower + ' towers have no firing arc to face');
+            if (state.towerAt(command.x, command.y, definition.footprint))
+                return reject(rejections.OCCUPIED, 'another tower is in the way');
+            if (state.funds < definition.cost)
+                return reject(rejections.INSUFFICIENT_FUNDS, 'tower costs ' + definition.cost + ', funds are ' + state.funds);
+
+            state.addFunds(-definition.cost);
+            return accept(state.placeTower(command.x, command.y, command.tower, command.facing));
+        },
+
+        UpgradeTower: function(state, command) {
+            var tower = state.findTower(command.tower);
+            if (!tower)
+                return reject(rejections.TOWER_NOT_FOUND, 'no tower with id ' + command.tower);
+            if (!state.towerTypes.hasOwnProperty(tower.tower.type))
+                return reject(rejections.UNKNOWN_TOWER, 'tower ' + tower.id + ' is of unknown type ' + tower.tower.type);
+            var options = state.availableUpgrades(tower);
+            var upgrade = null;
+            for (var i = 0; i < options.length; i++)
+                if (options[i].name === command.upgrade)
+                    upgrade = options[i];
+            if (!upgrade && !options.length)
+                return reject(rejections.UNKNOWN_UPGRADE, 'tower ' + tower.id + ' is fully upgraded');
+            if (!upgrade)
+                return reject(rejections.UNKNOWN_UPGRADE, 'tower ' + tower.id + ' can upgrade to ' + options.map(function(option) {
+                    return option.name;
+                }).join(', ') + ', not ' + command.upgrade);
+            if (state.funds < upgrade.cost)
+                return reject(rejections.INSUFFICIENT_FUNDS, 'upgrade costs ' + upgrade.cost + ', funds are ' + state.funds);
+
+            state.addFunds(-upgrade.cost);
+            state.upgradeTower(tower, upgrade);
+            return accept(tower);
+        },
+
+        SellTower: function(state, command) {
+            var tower = state.findTower(command.tower);
+            if (!tower)
+                return reject(rejections.TOWER_NOT_FOUND, 'no tower with id ' + command.tower);
+
+            return accept(state.sellTower(tower));
+        },
+
+        // Changes one tower's mode, or without a `tower` every tower's and
+        // the mode new towers start with.
+        SetTargeting: function(state, command) {
+            var targeting = state.constructor.targeting;
+            if (!targeting.hasOwnProperty(command.targeting) || command.targeting[0] === '_')
+                return reject(rejections.UNKNOWN_TARGETING, 'unknown targeting mode ' + command.targeting);
+            var tower = null;
+            if (command.tower !== undefined) {
+                tower = state.findTower(command.tower);
+                if (!tower || !tower.weapon)
+                    return reject(rejections.TOWER_NOT_FOUND, 'no tower with a weapon with id ' + command.tower);
+            }
+
+            if (!tower)
+                state.targeting = targeting[command.targeting];
+            var towers = tower ? [tower] : state.query('tower', 'weapon');
+            towers.forEach(function(tower) {
+                tower.weapon.targeting = targeting[command.targeting];
+                tower.weapon.targets = [];
+            });
+            return accept(tower);
+        },
+
+        StartWave: function(state) {
+            if (state.spawning)
+                return reject(rejections.WAVE_IN_PROGRESS, 'wave ' + state.wave + ' is still spawning');
+            if (!state.startWave())
+                return reject(rejections.NO_MORE_WAVES, 'all ' + state.waves.length + ' waves have started');
+            return accept();
+        },
+
+    };
+
+    // Returns `{ ok: true, result }` or `{ ok: false, reason, message }`
+    // where `reason` is one of `rejections`.
+    function apply(state, command) {
+        if (!command || typeof command !== 'object')
+            return reject(rejections.INVALID_COMMAND, 'command must be an object');
+        if (!handlers.hasOwnProperty(command.type))
+            return reject(rejections.UNKNOWN_COMMAND, 'unknown command type ' + command.type);
+        return handlers[command.type](state, command);
+    }
+
+    function accept(result) {
+        return { ok: true, result: result };
+    }
+
+    function reject(reason, message) {
+        return { ok: false, reason: reason, message: message };
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    return {
+        apply: apply,
+        handlers: handlers,
+        rejections: rejections,
+    };
+});
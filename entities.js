@@ -0,0 +1,267 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Entities = factory();
+    }
+})(this, function() {
+
+    // An entity is an id plus whichever components it has, each stored under
+    // its own key:
+    //
+    //     { id: 7, position: {...}, pathFollower: {...}, health: {...} }
+    //
+    // Components are plain data, so entities snapshot with JSON as they are.
+    // Behaviour lives in systems.js, which pick entities by the components
+    // they carry rather than by what kind of thing they are.
+    var components = {
+
+        // `radius` is the entity's footprint for collisions and placement.
+        position: function(x, y, radius) {
+            return { x: x, y: y, radius: radius || 0 };
+        },
+
+        // Walks `path`, a list of absolute waypoints, at `speed` px/s.
+        pathFollower: function(path, speed) {
+            return { path: path, speed: speed, distanceRemaining: 0 };
+        },
+
+        health: function(max) {
+            return { current: max, max: max };
+        },
+
+        // Funds paid out when the entity is killed.
+        bounty: function(amount) {
+            return { amount: amount };
+        },
+
+        // Marks a creep towers can only target where a support tower reveals
+        // it.
+        hidden: function() {
+            return {};
+        },
+
+        // Damage taken off every hit, see GameState.hit.
+        armor: function(amount) {
+            return { amount: amount };
+        },
+
+        // Effects currently on the entity, see effect below.
+        statusEffects: function() {
+            return { effects: [] };
+        },
+
+        // One effect on a creep, put there by the tower `source` and running
+        // until the simulation time `expires`.
+        effect: function(rule, source, time) {
+            return {
+                type: rule.type,
+                magnitude: rule.magnitude,
+                source: source,
+                expires: time + rule.duration,
+                interval: rule.interval,
+                nextTick: rule.interval ? time + rule.interval : null,
+            };
+        },
+
+        // Something the player built and can sell. `type` names its
+        // definition in towers/, `upgrades` the upgrades bought in order.
+        // `invested` is everything paid for it, `buildPhaseInvested` the part
+        // of that paid between waves number `buildPhase` and the next.
+        tower: function(type) {
+            return { type: type, invested: 0, buildPhase: null, buildPhaseInvested: 0, upgrades: [] };
+        },
+
+        // What a tower has done so far. `damage` counts the health it took off
+        // creeps and `overkill` what its killing blows had left over; `shots`
+        // are projectiles fired and beam pulses, `hits` the shots that damaged
+        // at least one creep.
+        stats: function() {
+            return { kills: 0, damage: 0, shots: 0, hits: 0, overkill: 0 };
+        },
+
+        // Combat stats copied from a tower definition, see towerDefinitions.js.
+        // Exactly one of `projectile` and `beam` is set.
+        // `targeting` is the GameState.targeting mode it picks up to
+        // `maxTargets` creeps by, `targets` the ids of the creeps it is aiming
+        // at and `nextFire` the time it is ready to shoot again.
+        //
+        // `damage`, `range` and `rateOfFire` are what the weapon does with
+        // `buffs` from support towers applied to its upgraded `base` stats,
+        // see GameState.updateBuffs.
+        //
+        // `rotation` is where it points, in radians; `turret` has its angles
+        // in radians too, with the arc facing `facing` degrees if given.
+        weapon: function(definition, targeting, facing) {
+            var turret = turretOf(definition.turret, facing);
+            return {
+                damage: definition.damage,
+                range: definition.range,
+                rateOfFire: definition.rateOfFire,
+                base: {
+                    damage: definition.damage,
+                    range: definition.range,
+                    rateOfFire: definition.rateOfFire,
+                },
+                buffs: { damage: 0, range: 0, rateOfFire: 0, from: [] },
+                projectile: definition.projectile ? {
+                    type: definition.projectile.type,
+                    speed: definition.projectile.speed,
+                    aim: definition.projectile.aim || 'straight',
+                    homing: homing(definition.projectile),
+                    splash: splash(definition.projectile.splash),
+                    chain: chain(definition.projectile.chain),
+                    effects: (definition.projectile.effects || []).map(effectRule),
+                } : null,
+                beam: beam(definition.beam),
+                turret: turret,
+                rotation: turret && turret.arc ? turret.arc.facing : 0,
+                targeting: targeting,
+                maxTargets: definition.maxTargets || 1,
+                targets: [],
+                nextFire: 0,
+            };
+        },
+
+        // A support tower's aura, see towerDefinitions.js.
+        aura: function(definition) {
+            return {
+                range: definition.range,
+                buffs: {
+                    damage: definition.aura.buffs.damage || 0,
+                    range: definition.aura.buffs.range || 0,
+                    rateOfFire: definition.aura.buffs.rateOfFire || 0,
+                },
+                stacking: definition.aura.stacking || 'strongest',
+                reveal: !!definition.aura.reveal,
+            };
+        },
+
+        // In flight from the entity `source` with velocity vx, vy px/s,
+        // carrying the damage, splash, chain, homing and effects of `weapon`
+        // at the time it was fired. `distance` is how far it has left to fly
+        // when it only detonates at its target point, `target` the id of the
+        // creep it was fired at and `hits` the ids of the creeps a chain
+        // projectile already hit.
+        projectile: function(source, vx, vy, weapon, distance, target) {
+            return {
+                source: source,
+                vx: vx,
+                vy: vy,
+                damage: weapon.damage,
+                splash: weapon.projectile.splash,
+                chain: chain(weapon.projectile.chain),
+                homing: weapon.projectile.homing,
+                effects: weapon.projectile.effects,
+                distance: distance !== undefined ? distance : null,
+                target: target !== undefined ? target : null,
+                hits: [],
+            };
+        },
+
+    };
+
+    // What each effect type does with its magnitude, and how a creep that
+    // already has one takes another:
+    //
+    //     slow        speed lowered by `magnitude`, 0.5 halves it
+    //     poison      `magnitude` damage per second, ignoring armor, dealt
+    //                 every `interval` ms
+    //     stun        does not move at all
+    //     armorShred  armor lowered by `magnitude`, possibly below zero
+    //
+    //     refresh     keep one, restart its duration at the stronger magnitude
+    //     stack       up to `maxStacks` at once, the oldest one makes way
+    //     ignore      keep the one it has until it runs out
+    var effectDefaults = {
+        slow: { stacking: 'refresh', maxStacks: 1 },
+        poison: { stacking: 'stack', maxStacks: 5, interval: 500 },
+        stun: { stacking: 'ignore', maxStacks: 1 },
+        armorShred: { stacking: 'stack', maxStacks: 3 },
+    };
+
+    function effectRule(definition) {
+        var defaults = effectDefaults[definition.type];
+        return {
+            type: definition.type,
+            duration: definition.duration,
+            magnitude: definition.magnitude || 0,
+            stacking: definition.stacking || defaults.stacking,
+            maxStacks: definition.maxStacks || defaults.maxStacks,
+            interval: definition.interval || defaults.interval || null,
+        };
+    }
+
+    function turretOf(definition, facing) {
+        if (!definition)
+            return null;
+        var arc = definition.arc;
+        return {
+            turnRate: definition.turnRate ? definition.turnRate * Math.PI / 180 : null,
+            tolerance: (definition.tolerance !== undefined ? definition.tolerance : 5) * Math.PI / 180,
+            arc: arc ? {
+                facing: (facing !== undefined ? facing : arc.facing || 0) * Math.PI / 180,
+                width: arc.width * Math.PI / 180,
+            } : null,
+        };
+    }
+
+    // `locked` is the creep the beam has been on since the time `since`.
+    function beam(definition) {
+        if (!definition)
+            return null;
+        return {
+            rampUp: definition.rampUp || 0,
+            maxRamp: definition.maxRamp || 1,
+            locked: null,
+            since: 0,
+        };
+    }
+
+    // Without a `turnRate` a homing projectile turns straight at its target.
+    function homing(definition) {
+        if (definition.aim !== 'homing')
+            return null;
+        var options = definition.homing || {};
+        return {
+            turnRate: options.turnRate || null,
+            retarget: options.retarget !== false,
+        };
+    }
+
+    // `bounces` counts down on the projectile as it jumps, so each one gets
+    // a copy.
+    function chain(definition) {
+        if (!definition)
+            return null;
+        return {
+            bounces: definition.bounces,
+            radius: definition.radius,
+            decay: definition.decay || 0,
+        };
+    }
+
+    function splash(definition) {
+        if (!definition)
+            return null;
+        return {
+            radius: definition.radius,
+            falloff: definition.falloff || 0,
+            detonate: definition.detonate || 'impact',
+        };
+    }
+
+    // True when `entity` carries every component in `names`.
+    function has(entity, names) {
+        for (var i = 0; i < names.length; i++)
+            if (!entity[names[i]])
+                return false;
+        return true;
+    }
+
+    return {
+        components: components,
+        has: has,
+    };
+});
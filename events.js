@@ -0,0 +1,101 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(loadSignal());
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Events = factory(root.Phaser.Signal);
+    }
+
+    // Node has no Phaser global, and Phaser's Signal sources live in a
+    // submodule a plain checkout does not have, so headless runs get this
+    // stand-in with the part of Phaser.Signal's API the game uses: add,
+    // addOnce, remove, removeAll, getNumListeners and dispatch.
+    function loadSignal() {
+        function Signal() {
+            this.bindings = [];
+        }
+
+        Signal.prototype.add = function(listener, context) {
+            return this.bind(listener, context, false);
+        };
+
+        Signal.prototype.addOnce = function(listener, context) {
+            return this.bind(listener, context, true);
+        };
+
+        Signal.prototype.bind = function(listener, context, once) {
+            if (typeof listener !== 'function')
+                throw new Error('listener is a required param of add() and should be a Function.');
+            this.remove(listener, context);
+            var binding = { listener: listener, context: context || null, once: once };
+            this.bindings.push(binding);
+            return binding;
+        };
+
+        Signal.prototype.remove = function(listener, context) {
+            this.bindings = this.bindings.filter(function(binding) {
+                return binding.listener !== listener || binding.context !== (context || null);
+            });
+            return listener;
+        };
+
+        Signal.prototype.removeAll = function() {
+            this.bindings = [];
+        };
+
+        Signal.prototype.getNumListeners = function() {
+            return this.bindings.length;
+        };
+
+        // Like Phaser, a listener returning false stops the dispatch.
+        Signal.prototype.dispatch = function() {
+            var args = arguments;
+            var bindings = this.bindings.slice();
+            for (var i = 0; i < bindings.length; i++) {
+                if (bindings[i].once)
+                    this.remove(bindings[i].listener, bindings[i].context);
+                if (bindings[i].listener.apply(bindings[i].context, args) === false)
+                    break;
+            }
+        };
+
+        return Signal;
+    }
+})(this, function(Signal) {
+
+    // Listener arguments for every game event. Subscribe with e.g.
+    // `state.events.creepKilled.add(function(creep, tower) {...})`.
+    var signatures = {
+        creepSpawned: ['creep'],
+        creepDamaged: ['creep', 'amount', 'tower'],
+        creepKilled: ['creep', 'tower'],
+        creepLeaked: ['creep'],
+        effectApplied: ['creep', 'effect'],
+        effectExpired: ['creep', 'effect'],
+        towerPlaced: ['tower'],
+        towerUpgraded: ['tower', 'upgrade'],
+        towerSold: ['tower', 'refund'],
+        // `projectile` is null for beams.
+        towerFired: ['tower', 'target', 'projectile'],
+        projectileExploded: ['projectile'],
+        fundsChanged: ['funds', 'delta'],
+        waveStarted: ['wave'],
+        waveCleared: ['wave'],
+    };
+
+    // One Phaser.Signal per event. The simulation only dispatches; listeners
+    // must not change the state, or headless and rendered runs would differ.
+    function Events() {
+        for (var name in signatures)
+            this[name] = new Signal();
+    }
+
+    Events.signatures = signatures;
+
+    Events.prototype.removeAll = function() {
+        for (var name in signatures)
+            this[name].removeAll();
+    };
+
+    return Events;
+});
@@ -1,21 +1,145 @@
-// var Phaser = require('../modules/phaser/build/phaser');
-
-// var Phaser = {};
-
-// require('../modules/phaser/src/core/World');
-// require('../modules/phaser/src/physics/Physics');
-// require('../modules/phaser/src/time/TIme');
-
-// var Phaser = require('./phaser.headless');
-
-// var game = (function(Phaser) {
-    
-//     this.world = new Phaser.World(this);
-    
-//     this.physics = new Phaser.Physics(this, null);
-    
-//     this.time = new Phaser.Time(this)
-    
-// })(Phaser);
-            
-// game.physics.startSystem(Phaser.Physics.ARCADE);
\ No newline at end of file
+// Authoritative headless game server.
+//
+// The original idea was to boot Phaser.World, Phaser.Physics and Phaser.Time
+// from phaser.headless.js, but those still expect PIXI and a canvas. All the
+// game rules live in GameState now, so the server only has to own a state and
+// feed it ticks: no canvas, no DOM, no Phaser. Clients render; this decides.
+//
+//     node examples/authority.js [map.json] [waves.json] [replay.json]
+//
+// Every match is recorded; pass a third argument to save the replay.
+
+var fs = require('fs');
+var path = require('path');
+var GameState = require('../gameState');
+var TowerDefinitions = require('../towerDefinitions');
+var Replay = require('../replay');
+var Clock = require('../clock');
+
+function Authority(state) {
+    this.state = state;
+    this.recorder = new Replay.Recorder(state);
+    this.clock = new Clock(this);
+    this.timer = null;
+    this.lastTime = 0;
+}
+
+// Load a map from maps/, a wave set from waves/ and every tower definition
+// in towers/ into a fresh GameState.
+Authority.load = function(mapFile, wavesFile, options) {
+    var map = readJSON(mapFile);
+    var data = {
+        width: map.width,
+        height: map.height,
+        path: cellsToPoints(map.path, map.cellSize),
+        waves: readJSON(wavesFile),
+        towerTypes: TowerDefinitions.load(path.join(__dirname, '../towers')),
+    };
+    for (var key in options)
+        data[key] = options[key];
+    return new Authority(new GameState(data));
+};
+
+// Commands from any client are applied here, between ticks, so every client
+// sees the same outcome.
+Authority.prototype.apply = function(command) {
+    return this.recorder.apply(command);
+};
+
+// One server tick: starts the next wave as soon as the previous one is
+// cleared, then advances the simulation.
+Authority.prototype.stepTick = function() {
+    if (this.state.isWaveCleared())
+        this.apply({ type: 'StartWave' });
+    this.state.stepTick();
+};
+
+Authority.prototype.isFinished = function() {
+    return this.state.isOver();
+};
+
+// Run in real time through `clock`, which can also pause or fast-forward
+// the match.
+Authority.prototype.start = function(done) {
+    var authority = this;
+    this.lastTime = Date.now();
+    this.timer = setInterval(function() {
+        var now = Date.now();
+        authority.clock.update(now - authority.lastTime);
+        authority.lastTime = now;
+        if (authority.isFinished()) {
+            authority.stop();
+            if (done)
+                done(authority.state);
+        }
+    }, GameState.TICK_MS);
+};
+
+Authority.prototype.stop = function() {
+    clearInterval(this.timer);
+    this.timer = null;
+};
+
+// Run the whole match as fast as possible. `maxTicks` guards against maps
+// where a wave can never be cleared.
+Authority.prototype.runToEnd = function(maxTicks) {
+    maxTicks = maxTicks || Infinity;
+    while (this.state.tick < maxTicks && !this.isFinished())
+        this.stepTick();
+    return this.state;
+};
+
+function cellsToPoints(cells, cellSize) {
+    return cells.map(function(cell) {
+        return {
+            x: cell[0] * cellSize + cellSize / 2,
+            y: cell[1] * cellSize + cellSize / 2,
+        };
+    });
+}
+
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = Authority;
+module.exports.cellsToPoints = cellsToPoints;
+
+if (require.main === module) {
+    var root = path.join(__dirname, '..');
+    var authority = Authority.load(
+        process.argv[2] || path.join(root, 'maps/lemmings.json'),
+        process.argv[3] || path.join(root, 'waves/basic.json'),
+        { funds: 150 }
+    );
+
+    [150, 350, 550].forEach(function(x) {
+        authority.apply({ type: 'PlaceTower', tower: 'basic', x: x, y: 300 });
+    });
+
+    var kills = 0;
+    var leaks = 0;
+    authority.state.events.creepKilled.add(function() {
+        kills += 1;
+    });
+    authority.state.events.creepLeaked.add(function() {
+        leaks += 1;
+    });
+    authority.state.events.waveCleared.add(function(wave) {
+        console.log('wave ' + wave + ' cleared at tick ' + authority.state.tick);
+    });
+
+    var state = authority.runToEnd(60 * 60 * 30);
+    console.log(JSON.stringify({
+        ticks: state.tick,
+        kills: kills,
+        leaks: leaks,
+        wave: state.wave,
+        lives: state.lives,
+        funds: state.funds,
+        won: state.lives > 0 && state.isOver(),
+    }));
+
+    if (process.argv[4])
+        fs.writeFileSync(process.argv[4], JSON.stringify(authority.recorder));
+}
@@ -0,0 +1,250 @@
+// Draws a TD.GameState with Phaser. The view owns no game logic: every frame
+// it advances the state and moves one sprite per creep, tower and projectile
+// entity.
+//
+// Time is advanced through `view.clock`, a TD.Clock, so pausing, speed and
+// frame stepping live there. Pass a `driver` such as a TD.Replay to let it
+// advance time instead; the view then draws whatever `driver.state` is after
+// `driver.update(elapsedMS)`.
+//
+// `view.highlight`, when set to `{ x, y, type }`, marks a spot on the map: the
+// range of the tower standing there, or the range a new tower of `type`
+// would have if built there.
+(function(root) {
+
+    /* global Phaser */
+    function PhaserView(game, state, driver) {
+        this.game = game;
+        this.state = state;
+        this.driver = driver || null;
+        this.clock = driver ? driver.clock : new root.TD.Clock(state);
+        this.highlight = null;
+        this.sprites = {
+            creeps: {},
+            towers: {},
+            projectiles: {},
+        };
+    }
+
+    PhaserView.prototype.preload = function() {
+        var towerTypes = this.state.towerTypes;
+        for (var type in towerTypes)
+            this.game.load.image('tower:' + type, '../' + towerTypes[type].sprite);
+        this.game.load.image('bullet', '../demos/phaser-examples/examples/assets/sprites/purple_ball.png');
+        this.game.load.image('shell', '../demos/phaser-examples/examples/assets/sprites/aqua_ball.png');
+        this.game.load.image('spark', '../demos/phaser-examples/examples/assets/sprites/yellow_ball.png');
+        this.game.load.image('creep', '../demos/phaser-examples/examples/assets/sprites/lemming.png');
+    };
+
+    PhaserView.prototype.create = function() {
+        this.game.stage.backgroundColor = '#313131';
+        this.ranges = this.game.add.graphics(0, 0);
+        this.creeps = this.game.add.group();
+        this.towers = this.game.add.group();
+        this.projectiles = this.game.add.group();
+        this.beams = this.game.add.graphics(0, 0);
+        this.state.events.projectileExploded.add(this.explode, this);
+    };
+
+    PhaserView.prototype.update = function() {
+        if (this.driver) {
+            this.driver.update(this.game.time.elapsedMS);
+            this.state = this.driver.state;
+        } else {
+            this.clock.update(this.game.time.elapsedMS);
+        }
+
+        var state = this.state;
+        sync(this.creeps, this.sprites.creeps, this.state.creeps(), 'creep', function(sprite, creep) {
+            sprite.alpha = creep.health.current / creep.health.max * (state.isVisible(creep) ? 1 : 0.3);
+            sprite.tint = effectTint(creep);
+        });
+        sync(this.towers, this.sprites.towers, this.state.towers(), towerKey, function(sprite, tower) {
+            if (tower.weapon)
+                sprite.rotation = tower.weapon.rotation;
+        });
+        sync(this.projectiles, this.sprites.projectiles, this.state.projectiles(), projectileKey);
+        this.drawBeams();
+        this.drawHighlight();
+    };
+
+    // A line from every beam tower to the creep it is locked on, thicker as
+    // the beam ramps up.
+    PhaserView.prototype.drawBeams = function() {
+        var state = this.state;
+        var beams = this.beams;
+        beams.clear();
+        state.query('position', 'weapon').forEach(function(tower) {
+            var beam = tower.weapon.beam;
+            var target = beam && beam.locked !== null && state.findEntity(beam.locked);
+            if (!target)
+                return;
+            var ramp = beam.rampUp ? Math.min(1, (state.time - beam.since) / beam.rampUp) : 1;
+            beams.lineStyle(2 + 4 * ramp, 0xFF3333, 0.8);
+            beams.moveTo(tower.position.x, tower.position.y);
+            beams.lineTo(target.position.x, target.position.y);
+        });
+    };
+
+    // Flash the area a splash projectile damaged.
+    PhaserView.prototype.explode = function(projectile) {
+        var blast = this.game.add.graphics(projectile.position.x, projectile.position.y);
+        blast.beginFill(0xFF8800, 0.6);
+        blast.drawCircle(0, 0, projectile.projectile.splash.radius * 2);
+        blast.endFill();
+        this.game.add.tween(blast).to({ alpha: 0 }, 300, Phaser.Easing.Linear.None, true).onComplete.add(blast.destroy, blast);
+    };
+
+    // Redrawn every frame, since upgrades change a tower's range.
+    PhaserView.prototype.drawHighlight = function() {
+        this.ranges.clear();
+        var highlight = this.highlight;
+        if (!highlight)
+            return;
+        var tower = this.state.towerAt(highlight.x, highlight.y, 0);
+        if (tower && tower.weapon) {
+            drawRange(this.ranges, tower.position.x, tower.position.y, tower.weapon.range, tower.position.radius, 0x00FF00,
+                      tower.weapon.turret && tower.weapon.turret.arc);
+            return;
+        }
+        if (tower && tower.aura) {
+            drawRange(this.ranges, tower.position.x, tower.position.y, tower.aura.range, tower.position.radius, 0x3399FF);
+            return;
+        }
+        var definition = this.state.towerTypes[highlight.type];
+        if (!definition)
+            return;
+        var arc = definition.turret && definition.turret.arc;
+        drawRange(this.ranges, highlight.x, highlight.y, definition.range, definition.footprint, 0xFF0000, arc && {
+            facing: (highlight.facing !== undefined ? highlight.facing : arc.facing || 0) * Math.PI / 180,
+            width: arc.width * Math.PI / 180,
+        });
+    };
+
+    // P pauses and resumes, N steps a single tick while paused and F cycles
+    // through 1x, 2x and 4x speed.
+    PhaserView.prototype.addClockKeys = function() {
+        var view = this;
+        var keyboard = this.game.input.keyboard;
+        keyboard.addKey(Phaser.Keyboard.P).onDown.add(function() {
+            view.clock.togglePause();
+        });
+        keyboard.addKey(Phaser.Keyboard.N).onDown.add(function() {
+            if (view.clock.paused)
+                view.clock.step();
+        });
+        keyboard.addKey(Phaser.Keyboard.F).onDown.add(function() {
+            view.clock.nextSpeed();
+        });
+    };
+
+    PhaserView.prototype.render = function() {
+        var debug = this.game.debug;
+        debug.text('Active Bullets: ' + this.state.projectiles().length, 32, 32);
+        debug.text('Active Creeps: ' + this.state.creeps().length, 32, 32 * 2);
+        debug.text('Active Towers: ' + this.state.towers().length, 32, 32 * 3);
+        debug.text('Targeting: ' + root.TD.GameState.targetToName(this.state.targeting) + ' for new towers', 32, 32 * 4);
+        debug.text('Funds: ' + this.state.funds + '  Lives: ' + this.state.lives + '  Wave: ' + this.state.wave, 32, 32 * 5);
+        debug.text('Tick: ' + this.state.tick + '  Speed: ' + this.clock.speed + 'x' + (this.clock.paused ? ' (paused)' : ''), 32, 32 * 6);
+
+        var tower = this.highlight && this.state.towerAt(this.highlight.x, this.highlight.y, 0);
+        if (tower && tower.weapon) {
+            debug.text('Tower ' + tower.id + ': ' + root.TD.GameState.targetToName(tower.weapon.targeting)
+                       + (tower.weapon.targets.length ? ', aiming at creep ' + tower.weapon.targets.join(', ') : ''), 32, 32 * 7);
+            if (tower.weapon.buffs.from.length)
+                debug.text('Buffed by ' + tower.weapon.buffs.from.join(', ') + ': ' + describeBuffs(tower.weapon.buffs), 32, 32 * 8);
+            debug.text(describeStats(tower.stats), 32, 32 * 9);
+        }
+        if (tower && tower.aura)
+            debug.text('Tower ' + tower.id + ' aura: ' + describeBuffs(tower.aura.buffs) + (tower.aura.reveal ? ', reveals hidden creeps' : ''), 32, 32 * 7);
+    };
+
+    function describeBuffs(buffs) {
+        return ['damage', 'range', 'rateOfFire'].filter(function(stat) {
+            return buffs[stat];
+        }).map(function(stat) {
+            return '+' + Math.round(buffs[stat] * 100) + '% ' + stat;
+        }).join(', ');
+    }
+
+    // e.g. "12 kills, 950 damage (80 overkill), 30/36 hits"
+    function describeStats(stats) {
+        return stats.kills + ' kills, ' + Math.round(stats.damage) + ' damage (' + Math.round(stats.overkill) + ' overkill), '
+            + stats.hits + '/' + stats.shots + ' hits';
+    }
+
+    // With a firing `arc`, in radians like a turret's, only the part of the
+    // range the tower can fire into is drawn.
+    function drawRange(graphics, x, y, range, footprint, color, arc) {
+        graphics.lineStyle(2, color, 0.8);
+        graphics.beginFill(color, 0.1);
+        if (arc && arc.width < Math.PI * 2) {
+            graphics.moveTo(x, y);
+            graphics.arc(x, y, range, arc.facing - arc.width / 2, arc.facing + arc.width / 2, false);
+            graphics.lineTo(x, y);
+        } else {
+            graphics.drawCircle(x, y, range * 2);
+        }
+        graphics.endFill();
+        graphics.lineStyle(0);
+        graphics.beginFill(color, 0.5);
+        graphics.drawCircle(x, y, footprint * 2);
+        graphics.endFill();
+    }
+
+    // Creeps are tinted by the status effect that matters most to the player:
+    // stunned, then poisoned, slowed and shredded.
+    var effectTints = [
+        { type: 'stun', tint: 0xFFFF66 },
+        { type: 'poison', tint: 0x66FF66 },
+        { type: 'slow', tint: 0x66AAFF },
+        { type: 'armorShred', tint: 0xFF9966 },
+    ];
+
+    function effectTint(creep) {
+        var effects = creep.statusEffects ? creep.statusEffects.effects : [];
+        for (var i = 0; i < effectTints.length; i++) {
+            for (var j = 0; j < effects.length; j++)
+                if (effects[j].type === effectTints[i].type)
+                    return effectTints[i].tint;
+        }
+        return 0xFFFFFF;
+    }
+
+    function towerKey(tower) {
+        return 'tower:' + tower.tower.type;
+    }
+
+    function projectileKey(projectile) {
+        if (projectile.projectile.chain)
+            return 'spark';
+        return projectile.projectile.splash ? 'shell' : 'bullet';
+    }
+
+    // `key` is a texture key, or a function returning the key for an entity.
+    function sync(group, sprites, entities, key, apply) {
+        var seen = {};
+        entities.forEach(function(entity) {
+            var sprite = sprites[entity.id];
+            if (!sprite) {
+                var texture = typeof key === 'function' ? key(entity) : key;
+                sprite = sprites[entity.id] = group.create(entity.position.x, entity.position.y, texture);
+                sprite.anchor.set(0.5);
+            }
+            sprite.x = entity.position.x;
+            sprite.y = entity.position.y;
+            if (apply)
+                apply(sprite, entity);
+            seen[entity.id] = true;
+        });
+        for (var id in sprites) {
+            if (!seen[id]) {
+                sprites[id].destroy();
+                delete sprites[id];
+            }
+        }
+    }
+
+    root.TD = root.TD || {};
+    root.TD.PhaserView = PhaserView;
+})(this);
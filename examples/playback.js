@@ -0,0 +1,13 @@
+// Headless replay playback: reproduces a recorded match and prints the state
+// at a given tick (the end of the match by default).
+//
+//     node examples/playback.js replay.json [tick]
+
+var fs = require('fs');
+var Replay = require('../replay');
+
+var replay = new Replay(fs.readFileSync(process.argv[2], 'utf8'));
+var tick = process.argv[3] !== undefined ? Number(process.argv[3]) : replay.data.ticks;
+
+replay.seek(tick);
+console.log(JSON.stringify(replay.state, null, 4));
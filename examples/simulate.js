@@ -0,0 +1,185 @@
+// Headless batch simulator for balance runs. Plays the same map, wave set and
+// tower layout once per seed, as fast as the simulation allows, and prints
+// what happened in each game.
+//
+//     node examples/simulate.js <map.json> <waves.json> <layout.json> [options]
+//
+//     --games N       number of games, one seed each (default 10)
+//     --seed S        first seed, games use S, S + 1, ... (default 1)
+//     --funds F       starting funds (default 1000)
+//     --max-ticks T   give up on a game after T ticks (default 30 minutes)
+//     --format F      json or csv (default json)
+//
+// A layout is a list of tower placements, each applied as a PlaceTower
+// command before the first wave: [{ "tower": "basic", "x": 150, "y": 300 }, ...]
+
+var fs = require('fs');
+var Authority = require('./authority');
+
+var defaults = {
+    games: 10,
+    seed: 1,
+    funds: 1000,
+    maxTicks: 60 * 60 * 30,
+    format: 'json',
+};
+
+var formats = ['json', 'csv'];
+
+// Play one game and collect its numbers from the event bus.
+function simulate(mapFile, wavesFile, layout, seed, options) {
+    var authority = Authority.load(mapFile, wavesFile, { seed: seed, funds: options.funds });
+    var state = authority.state;
+    var startingLives = state.lives;
+    var result = {
+        seed: seed,
+        won: false,
+        ticks: 0,
+        waves: 0,
+        kills: 0,
+        leaks: 0,
+        livesLost: 0,
+        funds: 0,
+        fundsCurve: [],
+        towerDamage: {},
+        towerStats: [],
+        rejected: [],
+    };
+
+    state.events.creepKilled.add(function() {
+        result.kills += 1;
+    });
+    state.events.creepLeaked.add(function() {
+        result.leaks += 1;
+    });
+    state.events.waveCleared.add(function() {
+        result.fundsCurve.push(state.funds);
+    });
+
+    layout.forEach(function(placement) {
+        var command = { type: 'PlaceTower' };
+        for (var key in placement)
+            command[key] = placement[key];
+        var outcome = authority.apply(command);
+        if (!outcome.ok)
+            result.rejected.push(outcome.reason + ': ' + outcome.message);
+    });
+
+    authority.runToEnd(options.maxTicks);
+
+    result.won = state.lives > 0 && state.isOver();
+    result.ticks = state.tick;
+    result.waves = state.wave;
+    result.livesLost = startingLives - state.lives;
+    result.funds = state.funds;
+    result.towerStats = state.towerStats();
+    result.towerStats.forEach(function(stats) {
+        result.towerDamage[stats.id] = stats.damage;
+    });
+    return result;
+}
+
+function summarize(results) {
+    function mean(key) {
+        return results.reduce(function(sum, result) {
+            return sum + result[key];
+        }, 0) / results.length;
+    }
+    return {
+        games: results.length,
+        wins: results.filter(function(result) {
+            return result.won;
+        }).length,
+        meanLeaks: mean('leaks'),
+        meanLivesLost: mean('livesLost'),
+        meanKills: mean('kills'),
+        meanFunds: mean('funds'),
+    };
+}
+
+// One CSV column per tower stat, each `id:value` for every tower.
+var towerColumns = ['damage', 'kills', 'shots', 'hits', 'overkill'];
+
+function toCSV(results) {
+    var header = ['seed', 'won', 'ticks', 'waves', 'kills', 'leaks', 'livesLost', 'funds', 'fundsCurve']
+        .concat(towerColumns.map(function(key) {
+            return 'tower' + key.charAt(0).toUpperCase() + key.slice(1);
+        }));
+    return [header.join(',')].concat(results.map(function(result) {
+        return [
+            result.seed,
+            result.won,
+            result.ticks,
+            result.waves,
+            result.kills,
+            result.leaks,
+            result.livesLost,
+            result.funds,
+            result.fundsCurve.join(';'),
+        ].concat(towerColumns.map(function(key) {
+            return result.towerStats.map(function(stats) {
+                return stats.id + ':' + stats[key];
+            }).join(';');
+        })).join(',');
+    })).join('\n');
+}
+
+function parseArgs(argv) {
+    var options = {};
+    for (var key in defaults)
+        options[key] = defaults[key];
+    var files = [];
+    for (var i = 0; i < argv.length; i++) {
+        var match = /^--(.+)$/.exec(argv[i]);
+        if (!match) {
+            files.push(argv[i]);
+            continue;
+        }
+        var name = match[1].replace(/-(\w)/g, function(all, letter) {
+            return letter.toUpperCase();
+        });
+        if (!defaults.hasOwnProperty(name))
+            throw new Error('Unknown option ' + argv[i]);
+        var value = argv[++i];
+        if (value === undefined)
+            throw new Error('Option ' + argv[i - 1] + ' needs a value');
+        if (typeof defaults[name] === 'number') {
+            value = value === '' ? NaN : Number(value);
+            if (!isFinite(value))
+                throw new Error('Option ' + argv[i - 1] + ' needs a number, got ' + argv[i]);
+        }
+        options[name] = value;
+    }
+    if (formats.indexOf(options.format) === -1)
+        throw new Error('Unknown format ' + options.format + ', use ' + formats.join(' or '));
+    if (files.length !== 3)
+        throw new Error('Usage: node examples/simulate.js <map.json> <waves.json> <layout.json> [options]');
+    options.files = files;
+    return options;
+}
+
+module.exports = {
+    simulate: simulate,
+    summarize: summarize,
+    toCSV: toCSV,
+};
+
+if (require.main === module) {
+    var options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    var layout = JSON.parse(fs.readFileSync(options.files[2], 'utf8'));
+    var results = [];
+    for (var game = 0; game < options.games; game++)
+        results.push(simulate(options.files[0], options.files[1], layout, options.seed + game, options));
+
+    if (options.format === 'csv')
+        console.log(toCSV(results));
+    else
+        console.log(JSON.stringify({ summary: summarize(results), games: results }, null, 4));
+}
@@ -1,16 +1,846 @@
-(function(){
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random'), require('./commands'), require('./events'), require('./entities'), require('./systems'), require('./towerDefinitions'));
+    } else {
+        root.TD = root.TD || {};
+        root.TD.GameState = factory(root.TD.Random, root.TD.Commands, root.TD.Events, root.TD.Entities, root.TD.Systems, root.TD.TowerDefinitions);
+    }
+})(this, function(Random, Commands, Events, Entities, Systems, TowerDefinitions) {
+
+    var components = Entities.components;
+
+    var targeting = {
+        FIRST: 1,
+        LAST: 2,
+        HEALTHIEST_PERCENT: 3,
+        HEALTHIEST_ABSOLUTE: 4,
+        WEAKEST_PERCENT: 5,
+        WEAKEST_ABSOLUTE: 6,
+        RANDOM: 7,
+        _EOF: 8,
+    };
+
     var defaultGameState = {
-        creeps: [],
-        towers: [],
-        funds: 0
+        width: 800,
+        height: 600,
+        path: [],
+        waves: [],
+        wave: 0,
+        clearedWave: 0,
+        spawning: null,
+        entities: [],
+        towerTypes: {},
+        funds: 0,
+        lives: 20,
+        seed: 1,
+        tick: 0,
+        time: 0,
+        // Targeting mode new towers start with.
+        targeting: targeting.FIRST,
+        // Share of a tower's cost refunded when it is sold between waves, and
+        // while a wave is on. Whatever was spent since the last wave ended is
+        // refunded in full until the next one starts.
+        sellRate: 0.75,
+        waveSellRate: 0.5,
+        // Final stats of every tower sold so far, see towerStats.
+        soldTowerStats: [],
+        nextId: 1,
     };
-    
+
+    var defaultCreep = {
+        health: 100,
+        speed: 240,
+        bounty: 1,
+        radius: 12,
+        armor: 0,
+        hidden: false,
+    };
+
+
+    // All times are in milliseconds, all distances in pixels. `path` is the
+    // list of absolute waypoints creeps walk from spawn to exit, `towerTypes`
+    // the tower definitions players can build, see towerDefinitions.js.
+    //
+    // Given the same seed and the same calls, in the same ticks, two states
+    // stay identical: all randomness comes from `random`, never Math.random.
     function GameState(data) {
-        this.creeps = data.creeps;
-        this.towers = data.towers;
-        this.funds = data.funds;
+        data = data || {};
+        for (var key in defaultGameState)
+            this[key] = data[key] !== undefined ? data[key] : clone(defaultGameState[key]);
+        this.random = new Random(this.seed);
+        this.events = new Events();
     }
-    
-    
-});
 
+    // Bump whenever the snapshot format changes, and register a migration
+    // from the previous version below.
+    GameState.SCHEMA_VERSION = 18;
+
+    // `migrations[n]` upgrades a version n snapshot to version n + 1 in place.
+    // Snapshots without a version predate toJSON and are the bare
+    // `{ creeps, towers, funds }` the first GameState took; the constructor
+    // already fills in everything else.
+    GameState.migrations = {
+        0: function(data) {},
+
+        // Version 2 replaced the creeps, towers and projectiles arrays of flat
+        // objects with component based entities, see entities.js.
+        1: function(data) {
+            var creeps = (data.creeps || []).map(function(creep) {
+                return {
+                    id: creep.id,
+                    position: { x: creep.x, y: creep.y, radius: creep.radius },
+                    pathFollower: {
+                        path: creep.path,
+                        speed: creep.speed,
+                        distanceRemaining: creep.distanceRemaining,
+                    },
+                    health: { current: creep.health, max: creep.maxHealth },
+                    bounty: { amount: creep.bounty },
+                    statusEffects: { effects: [] },
+                };
+            });
+            var towers = (data.towers || []).map(function(tower) {
+                return {
+                    id: tower.id,
+                    position: { x: tower.x, y: tower.y, radius: tower.radius },
+                    tower: { invested: tower.cost },
+                    weapon: { damage: tower.damage, projectileSpeed: tower.bulletSpeed, rotation: tower.rotation },
+                };
+            });
+            var projectiles = (data.projectiles || []).map(function(projectile) {
+                return {
+                    id: projectile.id,
+                    position: { x: projectile.x, y: projectile.y, radius: 8 },
+                    projectile: {
+                        source: projectile.tower,
+                        vx: projectile.vx,
+                        vy: projectile.vy,
+                        damage: projectile.damage,
+                    },
+                };
+            });
+            data.entities = creeps.concat(towers, projectiles).sort(function(a, b) {
+                return a.id - b.id;
+            });
+            delete data.creeps;
+            delete data.towers;
+            delete data.projectiles;
+        },
+
+        // Version 3 built towers from definitions in towers/. Older towers all
+        // had the stats of the basic tower, and no range limit; the snapshot
+        // gets that tower as its `basic` type so it can keep building them.
+        2: function(data) {
+            var range = Math.sqrt(data.width * data.width + data.height * data.height);
+            var old = data.entities.filter(function(entity) {
+                return entity.weapon;
+            })[0];
+            data.towerTypes = data.towerTypes || {};
+            if (!data.towerTypes.basic) {
+                data.towerTypes.basic = {
+                    name: 'Basic',
+                    cost: old && old.tower.invested !== undefined ? old.tower.invested : 50,
+                    range: range,
+                    damage: old && old.weapon.damage !== undefined ? old.weapon.damage : 25,
+                    rateOfFire: data.fireRate !== undefined ? data.fireRate : 100,
+                    projectile: {
+                        type: 'bullet',
+                        speed: old && old.weapon.projectileSpeed !== undefined ? old.weapon.projectileSpeed : 300,
+                    },
+                    footprint: old && old.position.radius !== undefined ? old.position.radius : 16,
+                    sprite: 'demos/phaser-examples/examples/assets/sprites/arrow.png',
+                };
+            }
+            data.entities.forEach(function(entity) {
+                if (entity.tower)
+                    entity.tower.type = 'basic';
+                if (entity.weapon) {
+                    entity.weapon.range = range;
+                    entity.weapon.rateOfFire = data.fireRate !== undefined ? data.fireRate : 100;
+                    entity.weapon.projectile = { type: 'bullet', speed: entity.weapon.projectileSpeed };
+                    delete entity.weapon.projectileSpeed;
+                }
+            });
+        },
+
+        // Version 4 added upgrade trees.
+        3: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.tower)
+                    entity.tower.upgrades = [];
+            });
+        },
+
+        // Version 5 refunds towers by when they were paid for. Nothing older
+        // counts as bought in the current build phase.
+        4: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.tower) {
+                    entity.tower.buildPhase = null;
+                    entity.tower.buildPhaseInvested = 0;
+                }
+            });
+        },
+
+        // Version 6 gave every tower its own targeting mode, where before
+        // they all shared the state's.
+        5: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon) {
+                    entity.weapon.targeting = data.targeting;
+                    entity.weapon.target = null;
+                }
+            });
+        },
+
+        // Version 7 moved the fire cooldown from the state, shared by every
+        // tower, onto each weapon.
+        6: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.nextFire = data.nextFire || 0;
+            });
+            delete data.fireRate;
+            delete data.nextFire;
+        },
+
+        // Version 8 added splash damage.
+        7: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.projectile.splash = null;
+                if (entity.projectile) {
+                    entity.projectile.splash = null;
+                    entity.projectile.distance = null;
+                }
+            });
+        },
+
+        // Version 9 added status effects and creep armor.
+        8: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.projectile.effects = [];
+                if (entity.projectile)
+                    entity.projectile.effects = [];
+                if (entity.pathFollower && entity.health)
+                    entity.armor = { amount: 0 };
+            });
+        },
+
+        // Version 10 added chain projectiles.
+        9: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.projectile.chain = null;
+                if (entity.projectile) {
+                    entity.projectile.chain = null;
+                    entity.projectile.hits = [];
+                }
+            });
+        },
+
+        // Version 11 added beam weapons.
+        10: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.beam = null;
+            });
+        },
+
+        // Version 12 added support towers, which buff the weapons around
+        // them.
+        11: function(data) {
+            data.entities.forEach(function(entity) {
+                var weapon = entity.weapon;
+                if (!weapon)
+                    return;
+                weapon.base = { damage: weapon.damage, range: weapon.range, rateOfFire: weapon.rateOfFire };
+                weapon.buffs = { damage: 0, range: 0, rateOfFire: 0, from: [] };
+            });
+        },
+
+        // Version 13 let towers fire at several targets at once.
+        12: function(data) {
+            data.entities.forEach(function(entity) {
+                var weapon = entity.weapon;
+                if (!weapon)
+                    return;
+                weapon.maxTargets = 1;
+                weapon.targets = weapon.target !== null ? [weapon.target] : [];
+                delete weapon.target;
+            });
+        },
+
+        // Version 14 added lead aiming and homing projectiles.
+        13: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon && entity.weapon.projectile) {
+                    entity.weapon.projectile.aim = 'straight';
+                    entity.weapon.projectile.homing = null;
+                }
+                if (entity.projectile) {
+                    entity.projectile.homing = null;
+                    entity.projectile.target = null;
+                }
+            });
+        },
+
+        // Version 15 added turrets with a turn rate and firing arcs.
+        14: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.weapon)
+                    entity.weapon.turret = null;
+            });
+        },
+
+        // Version 16 added per-tower combat stats, counted from then on.
+        15: function(data) {
+            data.entities.forEach(function(entity) {
+                if (entity.tower)
+                    entity.stats = { kills: 0, damage: 0, shots: 0, hits: 0, overkill: 0 };
+            });
+        },
+
+        // Version 17 records `clearedWave`. Snapshots saved without it were
+        // between waves when nothing was left to spawn and no creep was left.
+        16: function(data) {
+            if (data.clearedWave !== undefined)
+                return;
+            var creepsLeft = data.entities.some(function(entity) {
+                return entity.pathFollower;
+            });
+            var wave = data.wave || 0;
+            data.clearedWave = !data.spawning && !creepsLeft ? wave : Math.max(0, wave - 1);
+        },
+
+        // Version 18 kept the stats of sold towers. Those sold before are gone.
+        17: function(data) {
+            data.soldTowerStats = [];
+        },
+    };
+
+    // Length of one simulation tick. Renderers and servers convert wall-clock
+    // time into whole ticks; the simulation never sees a variable dt.
+    GameState.TICK_MS = 1000 / 60;
+
+    // Run in this order every tick, see systems.js.
+    GameState.systems = [
+        Systems.spawning,
+        Systems.statusEffects,
+        Systems.movement,
+        Systems.projectiles,
+        Systems.weapons,
+    ];
+
+    GameState.targeting = targeting;
+    GameState.defaultCreep = defaultCreep;
+
+    // Advance the simulation by exactly one tick.
+    GameState.prototype.stepTick = function() {
+        this.step(GameState.TICK_MS);
+    };
+
+    // Advance the simulation by `dt` milliseconds.
+    GameState.prototype.step = function(dt) {
+        this.tick += 1;
+        this.time += dt;
+        for (var i = 0; i < GameState.systems.length; i++)
+            GameState.systems[i](this, dt);
+
+        if (this.wave > this.clearedWave && this.isWaveCleared()) {
+            this.clearedWave = this.wave;
+            this.events.waveCleared.dispatch(this.wave);
+        }
+    };
+
+    // Full snapshot of the simulation, safe to JSON.stringify and resume with
+    // GameState.fromJSON mid-wave.
+    GameState.prototype.toJSON = function() {
+        var data = { version: GameState.SCHEMA_VERSION };
+        for (var key in defaultGameState)
+            data[key] = clone(this[key]);
+        data.randomState = this.random.state;
+        return data;
+    };
+
+    // Accepts a snapshot object or its JSON string, from any older version.
+    GameState.fromJSON = function(json) {
+        var data = typeof json === 'string' ? JSON.parse(json) : clone(json);
+        var version = data.version || 0;
+        if (version > GameState.SCHEMA_VERSION)
+            throw new Error('GameState snapshot version ' + version + ' is newer than supported version ' + GameState.SCHEMA_VERSION);
+        for (; version < GameState.SCHEMA_VERSION; version++) {
+            if (!GameState.migrations[version])
+                throw new Error('No GameState migration from snapshot version ' + version);
+            GameState.migrations[version](data);
+        }
+        data.version = version;
+
+        var state = new GameState(data);
+        if (data.randomState !== undefined)
+            state.random.state = data.randomState;
+        return state;
+    };
+
+    // Apply a player command, see commands.js.
+    GameState.prototype.apply = function(command) {
+        return Commands.apply(this, command);
+    };
+
+    GameState.prototype.startWave = function() {
+        var wave = this.waves[this.wave];
+        if (!wave)
+            return false;
+        this.wave += 1;
+        this.spawning = {
+            remaining: wave.count,
+            interval: wave.interval,
+            creep: wave.creep || {},
+            nextSpawn: this.time,
+        };
+        this.events.waveStarted.dispatch(this.wave);
+        return true;
+    };
+
+    // True from the start of a wave until its last creep is gone; the time in
+    // between waves is the build phase.
+    GameState.prototype.isWaveInProgress = function() {
+        return this.wave > this.clearedWave;
+    };
+
+    // True once the current wave has finished spawning and every creep is gone.
+    GameState.prototype.isWaveCleared = function() {
+        return !this.spawning && this.creeps().length === 0;
+    };
+
+    GameState.prototype.isOver = function() {
+        return this.lives <= 0 || (this.wave >= this.waves.length && this.isWaveCleared());
+    };
+
+    GameState.prototype.spawnCreep = function(options) {
+        var stats = extend({}, defaultCreep, options);
+        var creep = this.addEntity({
+            position: components.position(this.path[0].x, this.path[0].y, stats.radius),
+            pathFollower: components.pathFollower(this.path.slice(1), stats.speed),
+            health: components.health(stats.health),
+            bounty: components.bounty(stats.bounty),
+            armor: components.armor(stats.armor),
+            statusEffects: components.statusEffects(),
+        });
+        if (stats.hidden)
+            creep.hidden = components.hidden();
+        creep.pathFollower.distanceRemaining = Systems.distanceAlongPath(creep);
+        this.events.creepSpawned.dispatch(creep);
+        return creep;
+    };
+
+    // Builds a tower of the given type without any checks or payment; players
+    // go through the PlaceTower command instead.
+    // `facing`, in degrees, turns the firing arc of towers that have one.
+    GameState.prototype.placeTower = function(x, y, type, facing) {
+        var definition = this.towerTypes[type];
+        var tower = {
+            position: components.position(x, y, definition.footprint),
+            tower: components.tower(type),
+            stats: components.stats(),
+        };
+        if (definition.aura)
+            tower.aura = components.aura(definition);
+        else
+            tower.weapon = components.weapon(definition, this.targeting, facing);
+        this.addEntity(tower);
+        this.invest(tower, definition.cost);
+        this.updateBuffs();
+        this.events.towerPlaced.dispatch(tower);
+        return tower;
+    };
+
+    GameState.prototype.availableUpgrades = function(tower) {
+        var definition = this.towerTypes[tower.tower.type];
+        return definition ? TowerDefinitions.availableUpgrades(definition, tower.tower.upgrades) : [];
+    };
+
+    // Buys `upgrade`, one of availableUpgrades(tower), without any checks or
+    // payment, and applies its stat changes to the tower's weapon or aura at
+    // once.
+    GameState.prototype.upgradeTower = function(tower, upgrade) {
+        var stats = upgrade.stats;
+        var weapon = tower.weapon;
+        if (weapon) {
+            weapon.base.damage += stats.damage || 0;
+            weapon.base.range += stats.range || 0;
+            weapon.base.rateOfFire += stats.rateOfFire || 0;
+            if (weapon.projectile)
+                weapon.projectile.speed += stats.projectileSpeed || 0;
+        }
+        if (tower.aura)
+            tower.aura.range += stats.range || 0;
+        tower.tower.upgrades.push(upgrade.name);
+        this.invest(tower, upgrade.cost);
+        this.updateBuffs();
+        this.events.towerUpgraded.dispatch(tower, upgrade);
+    };
+
+    // Recomputes every weapon's stats from its upgraded `base` and the auras
+    // it is in. Runs whenever a tower is built, upgraded or sold, the only
+    // times an aura or what is inside it changes. Beams deal damage per
+    // second, so they take no rateOfFire buff.
+    GameState.prototype.updateBuffs = function() {
+        var supports = this.query('position', 'aura');
+        this.query('position', 'weapon').forEach(function(tower) {
+            var byType = {};
+            var from = [];
+            supports.forEach(function(support) {
+                if (!reaches(support.position, support.aura.range, tower.position))
+                    return;
+                from.push(support.id);
+                var type = support.tower ? support.tower.type : '';
+                var group = byType[type] = byType[type] || { damage: 0, range: 0, rateOfFire: 0 };
+                for (var stat in group) {
+                    var amount = support.aura.buffs[stat];
+                    group[stat] = support.aura.stacking === 'additive' ? group[stat] + amount : Math.max(group[stat], amount);
+                }
+            });
+
+            var weapon = tower.weapon;
+            var buffs = weapon.buffs = { damage: 0, range: 0, rateOfFire: 0, from: from };
+            for (var type in byType)
+                for (var stat in byType[type])
+                    buffs[stat] += byType[type][stat];
+            if (weapon.beam)
+                buffs.rateOfFire = 0;
+            weapon.damage = weapon.base.damage * (1 + buffs.damage);
+            weapon.range = weapon.base.range * (1 + buffs.range);
+            weapon.rateOfFire = weapon.base.rateOfFire / (1 + buffs.rateOfFire);
+        });
+    };
+
+    // True when a revealing aura covers the hidden `creep`.
+    GameState.prototype.isRevealed = function(creep) {
+        return this.query('position', 'aura').some(function(support) {
+            return support.aura.reveal && reaches(support.position, support.aura.range, creep.position);
+        });
+    };
+
+    // True when towers and their projectiles can go after `creep`.
+    GameState.prototype.isVisible = function(creep) {
+        return !creep.hidden || this.isRevealed(creep);
+    };
+
+    // Records `amount` paid for `tower`, see sellValue.
+    GameState.prototype.invest = function(tower, amount) {
+        var spent = tower.tower;
+        spent.invested += amount;
+        if (this.isWaveInProgress())
+            return;
+        if (spent.buildPhase !== this.wave) {
+            spent.buildPhase = this.wave;
+            spent.buildPhaseInvested = 0;
+        }
+        spent.buildPhaseInvested += amount;
+    };
+
+    // What selling `tower` right now would refund: `sellRate` of what was
+    // invested in it, only `waveSellRate` during a wave, and in full whatever
+    // was paid for it in the current build phase.
+    GameState.prototype.sellValue = function(tower) {
+        var spent = tower.tower;
+        if (this.isWaveInProgress())
+            return Math.floor(spent.invested * this.waveSellRate);
+        var refundable = spent.buildPhase === this.wave ? spent.buildPhaseInvested : 0;
+        return refundable + Math.floor((spent.invested - refundable) * this.sellRate);
+    };
+
+    // Removes the tower and returns what it was worth. Towers never block
+    // the creep path, so removing the entity is all it takes to free its
+    // spot for building again.
+    GameState.prototype.sellTower = function(tower) {
+        var refund = this.sellValue(tower);
+        this.soldTowerStats.push(towerStats(tower, true));
+        this.removeEntity(tower);
+        this.updateBuffs();
+        this.addFunds(refund);
+        this.events.towerSold.dispatch(tower, refund);
+        return refund;
+    };
+
+    GameState.prototype.addFunds = function(delta) {
+        this.funds += delta;
+        this.events.fundsChanged.dispatch(this.funds, delta);
+    };
+
+    GameState.prototype.addEntity = function(entity) {
+        entity.id = this.nextId++;
+        this.entities.push(entity);
+        return entity;
+    };
+
+    GameState.prototype.removeEntity = function(entity) {
+        var index = this.entities.indexOf(entity);
+        if (index !== -1)
+            this.entities.splice(index, 1);
+    };
+
+    GameState.prototype.findEntity = function(id) {
+        for (var i = 0; i < this.entities.length; i++)
+            if (this.entities[i].id === id)
+                return this.entities[i];
+        return null;
+    };
+
+    // Entities carrying every named component, in creation order.
+    GameState.prototype.query = function() {
+        var names = arguments;
+        return this.entities.filter(function(entity) {
+            return Entities.has(entity, names);
+        });
+    };
+
+    GameState.prototype.creeps = function() {
+        return this.query('position', 'pathFollower', 'health');
+    };
+
+    GameState.prototype.towers = function() {
+        return this.query('position', 'tower');
+    };
+
+    GameState.prototype.projectiles = function() {
+        return this.query('position', 'projectile');
+    };
+
+    GameState.prototype.findTower = function(id) {
+        var entity = this.findEntity(id);
+        return entity && entity.tower ? entity : null;
+    };
+
+    // The stats of every tower built, by id and type, ready for
+    // JSON.stringify: the standing ones, then those sold with what they had
+    // done by then.
+    GameState.prototype.towerStats = function() {
+        return this.towers().map(function(tower) {
+            return towerStats(tower, false);
+        }).concat(clone(this.soldTowerStats));
+    };
+
+    // First tower whose footprint overlaps a circle of `radius` around x, y.
+    GameState.prototype.towerAt = function(x, y, radius) {
+        return overlapping(this.towers(), x, y, radius);
+    };
+
+    // First creep whose body overlaps a circle of `radius` around x, y,
+    // leaving out those whose ids are in `except`.
+    GameState.prototype.creepAt = function(x, y, radius, except) {
+        var creeps = this.creeps();
+        if (except && except.length) {
+            creeps = creeps.filter(function(creep) {
+                return except.indexOf(creep.id) === -1;
+            });
+        }
+        return overlapping(creeps, x, y, radius);
+    };
+
+    // `source` is the entity credited with the damage, if any.
+    GameState.prototype.damage = function(entity, amount, source) {
+        var before = entity.health.current;
+        entity.health.current -= amount;
+        if (source && source.stats)
+            source.stats.damage += Math.min(amount, before);
+        this.events.creepDamaged.dispatch(entity, amount, source || null);
+        if (entity.health.current > 0)
+            return;
+        if (source && source.stats) {
+            source.stats.kills += 1;
+            source.stats.overkill += amount - before;
+        }
+        this.removeEntity(entity);
+        this.events.creepKilled.dispatch(entity, source || null);
+        if (entity.bounty)
+            this.addFunds(entity.bounty.amount);
+    };
+
+    // A projectile hitting `creep`: `amount` less the creep's armor, then the
+    // projectile's status `effects` if the creep survives. Beams hit with a
+    // pulse of their damage per second and pass its length in seconds as
+    // `armorShare`, so armor takes off the same per second however often
+    // they pulse.
+    GameState.prototype.hit = function(creep, amount, source, effects, armorShare) {
+        this.damage(creep, Math.max(0, amount - Systems.armor(creep) * (armorShare !== undefined ? armorShare : 1)), source);
+        if (creep.health.current <= 0 || !creep.statusEffects)
+            return;
+        (effects || []).forEach(function(rule) {
+            this.applyEffect(creep, rule, source);
+        }, this);
+    };
+
+    // Puts an effect on `creep` following the stacking rule of `rule`, one of
+    // a weapon's projectile effects.
+    GameState.prototype.applyEffect = function(creep, rule, source) {
+        var effects = creep.statusEffects.effects;
+        var same = effects.filter(function(effect) {
+            return effect.type === rule.type;
+        });
+        if (same.length && rule.stacking === 'ignore')
+            return;
+        if (same.length && rule.stacking === 'refresh') {
+            same[0].expires = this.time + rule.duration;
+            same[0].magnitude = Math.max(same[0].magnitude, rule.magnitude);
+            same[0].source = source ? source.id : null;
+            this.events.effectApplied.dispatch(creep, same[0]);
+            return;
+        }
+        if (same.length >= rule.maxStacks)
+            effects.splice(effects.indexOf(same[0]), 1);
+        var effect = components.effect(rule, source ? source.id : null, this.time);
+        effects.push(effect);
+        this.events.effectApplied.dispatch(creep, effect);
+    };
+
+    // Blows up `projectile` where it is, damaging every creep whose body is
+    // inside its splash radius. Kills count for the tower that fired it.
+    // Returns the creeps it caught.
+    GameState.prototype.explode = function(projectile) {
+        var position = projectile.position;
+        var shot = projectile.projectile;
+        var splash = shot.splash;
+        var source = this.findEntity(shot.source);
+        var caught = this.creepsInRange(position.x, position.y, splash.radius);
+        caught.forEach(function(creep) {
+            var dx = creep.position.x - position.x;
+            var dy = creep.position.y - position.y;
+            var distance = Math.min(Math.sqrt(dx * dx + dy * dy), splash.radius);
+            this.hit(creep, shot.damage * (1 - splash.falloff * distance / splash.radius), source, shot.effects);
+        }, this);
+        this.events.projectileExploded.dispatch(projectile);
+        return caught;
+    };
+
+    // Creeps a tower at x, y with `range` can hit: any whose body reaches
+    // into the range circle.
+    GameState.prototype.creepsInRange = function(x, y, range) {
+        return this.creeps().filter(function(creep) {
+            return reaches({ x: x, y: y }, range, creep.position);
+        });
+    };
+
+    // Picks the up to `maxTargets` distinct creeps `tower` aims at this tick
+    // by its own targeting mode and remembers their ids in `weapon.targets`.
+    // RANDOM and beams, which lock onto their target, stay on creeps while
+    // they are alive, in range and seen; every other mode picks again each
+    // tick. Hidden creeps are only seen inside a
+    // revealing aura, and turrets with an arc only see inside it.
+    GameState.prototype.acquireTargets = function(tower) {
+        var weapon = tower.weapon;
+        var candidates = this.creepsInRange(tower.position.x, tower.position.y, weapon.range).filter(function(creep) {
+            return this.isVisible(creep) && Systems.inArc(tower, creep);
+        }, this);
+        var kept = [];
+        if (weapon.targeting === targeting.RANDOM || weapon.beam) {
+            kept = candidates.filter(function(creep) {
+                return weapon.targets.indexOf(creep.id) !== -1;
+            }).slice(0, weapon.maxTargets);
+        }
+        var rest = candidates.filter(function(creep) {
+            return kept.indexOf(creep) === -1;
+        });
+        var targets = kept.concat(this.rankCreeps(weapon.targeting, rest, weapon.maxTargets - kept.length));
+        weapon.targets = targets.map(function(creep) {
+            return creep.id;
+        });
+        return targets;
+    };
+
+    // The first `count` of `creeps` by targeting mode `attr`.
+    GameState.prototype.rankCreeps = function(attr, creeps, count) {
+        creeps = creeps.slice();
+        switch(attr) {
+            case targeting.FIRST:
+                return creeps.sort(sortFirst).slice(0, count);
+            case targeting.LAST:
+                return creeps.sort(sortFirst).reverse().slice(0, count);
+            case targeting.RANDOM:
+                var picked = [];
+                while (picked.length < count && creeps.length)
+                    picked.push(creeps.splice(creeps.indexOf(this.random.pick(creeps)), 1)[0]);
+                return picked;
+            case targeting.HEALTHIEST_PERCENT:
+                return creeps.sort(sortHealthiestPercent).slice(0, count);
+            case targeting.HEALTHIEST_ABSOLUTE:
+                return creeps.sort(sortHealthiestAbsolute).slice(0, count);
+            case targeting.WEAKEST_PERCENT:
+                return creeps.sort(sortWeakestPercent).slice(0, count);
+            case targeting.WEAKEST_ABSOLUTE:
+                return creeps.sort(sortWeakestAbsolute).slice(0, count);
+            default:
+                return this.rankCreeps(targeting.FIRST, creeps, count);
+        }
+    };
+
+    GameState.targetToName = function(target) {
+        for (var key in targeting)
+            if (targeting[key] == target)
+                return key;
+    };
+
+    function towerStats(tower, sold) {
+        var stats = { id: tower.id, type: tower.tower.type, sold: sold };
+        for (var key in tower.stats)
+            stats[key] = tower.stats[key];
+        return stats;
+    }
+
+    // True when a circle of `range` around `from` reaches into the body at
+    // `to`.
+    function reaches(from, range, to) {
+        var dx = to.x - from.x;
+        var dy = to.y - from.y;
+        var reach = range + to.radius;
+        return dx * dx + dy * dy <= reach * reach;
+    }
+
+    function overlapping(entities, x, y, radius) {
+        for (var i = 0; i < entities.length; i++) {
+            var position = entities[i].position;
+            var dx = position.x - x;
+            var dy = position.y - y;
+            var reach = position.radius + radius;
+            if (dx * dx + dy * dy < reach * reach)
+                return entities[i];
+        }
+        return null;
+    }
+
+    function sortFirst(a, b) {
+        return a.pathFollower.distanceRemaining - b.pathFollower.distanceRemaining;
+    }
+
+    function sortHealthiestPercent(a, b) {
+        return b.health.current / b.health.max - a.health.current / a.health.max;
+    }
+
+    function sortHealthiestAbsolute(a, b) {
+        return b.health.current - a.health.current;
+    }
+
+    function sortWeakestPercent(a, b) {
+        return a.health.current / a.health.max - b.health.current / b.health.max;
+    }
+
+    function sortWeakestAbsolute(a, b) {
+        return a.health.current - b.health.current;
+    }
+
+    function extend(target) {
+        for (var i = 1; i < arguments.length; i++)
+            for (var key in arguments[i])
+                if (arguments[i][key] !== undefined)
+                    target[key] = arguments[i][key];
+        return target;
+    }
+
+    function clone(value) {
+        return value === null || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    return GameState;
+});
@@ -0,0 +1,34 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Random = factory();
+    }
+})(this, function() {
+
+    // Seeded PRNG (mulberry32). The whole generator is one 32 bit integer,
+    // `state`, so it can be copied or saved and resumed exactly.
+    function Random(seed) {
+        this.state = (seed === undefined ? 1 : seed) >>> 0;
+    }
+
+    // Float in [0, 1).
+    Random.prototype.next = function() {
+        var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+
+    // Integer in [0, n).
+    Random.prototype.integer = function(n) {
+        return Math.floor(this.next() * n);
+    };
+
+    Random.prototype.pick = function(list) {
+        return list.length ? list[this.integer(list.length)] : null;
+    };
+
+    return Random;
+});
@@ -0,0 +1,124 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./gameState'), require('./clock'));
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Replay = factory(root.TD.GameState, root.TD.Clock);
+    }
+})(this, function(GameState, Clock) {
+
+    // A replay is the snapshot a match started from (map, waves, seed and
+    // everything else) plus every command applied since, stamped with the
+    // tick it was applied before. The simulation is deterministic, so that
+    // is enough to reproduce the match exactly.
+    //
+    //     { version: 1, initial: <snapshot>, commands: [{ tick, command }], ticks }
+
+    var REPLAY_VERSION = 1;
+
+    // Records a live match. Send every command through `recorder.apply`
+    // instead of `state.apply`.
+    function Recorder(state) {
+        this.state = state;
+        this.initial = state.toJSON();
+        this.commands = [];
+    }
+
+    Recorder.prototype.apply = function(command) {
+        this.commands.push({ tick: this.state.tick, command: JSON.parse(JSON.stringify(command)) });
+        return this.state.apply(command);
+    };
+
+    Recorder.prototype.toJSON = function() {
+        return {
+            version: REPLAY_VERSION,
+            initial: this.initial,
+            commands: this.commands,
+            ticks: this.state.tick,
+        };
+    };
+
+    // Plays a recorded match back. Playback keeps a snapshot every
+    // `snapshotInterval` ticks so seeking backwards only replays from the
+    // nearest snapshot instead of from the start. Pause, speed and
+    // frame-by-frame stepping are on `replay.clock`.
+    function Replay(data, options) {
+        data = typeof data === 'string' ? JSON.parse(data) : data;
+        if (data.version !== REPLAY_VERSION)
+            throw new Error('Unsupported replay version ' + data.version);
+        options = options || {};
+
+        this.data = data;
+        this.snapshotInterval = options.snapshotInterval || 600;
+        this.clock = new Clock(this);
+        this.snapshots = [];
+        this.restore({ cursor: 0, state: data.initial });
+    }
+
+    Replay.VERSION = REPLAY_VERSION;
+    Replay.Recorder = Recorder;
+
+    // Listeners on `replay.state.events` survive seeking.
+    Replay.prototype.restore = function(snapshot) {
+        var events = this.state && this.state.events;
+        this.state = GameState.fromJSON(snapshot.state);
+        if (events)
+            this.state.events = events;
+        this.cursor = snapshot.cursor;
+        this.clock.accumulator = 0;
+    };
+
+    Replay.prototype.isFinished = function() {
+        return this.state.tick >= this.data.ticks;
+    };
+
+    // Apply the commands recorded for the current tick, then advance it.
+    // Commands recorded at the very last tick, after which the match was
+    // saved without another tick, are applied as playback reaches it.
+    Replay.prototype.stepTick = function() {
+        if (this.state.tick % this.snapshotInterval === 0 && !this.snapshotAt(this.state.tick))
+            this.snapshots.push({ tick: this.state.tick, cursor: this.cursor, state: this.state.toJSON() });
+        this.applyCommands();
+        this.state.stepTick();
+        if (this.isFinished())
+            this.applyCommands();
+    };
+
+    Replay.prototype.applyCommands = function() {
+        var commands = this.data.commands;
+        while (this.cursor < commands.length && commands[this.cursor].tick <= this.state.tick)
+            this.state.apply(commands[this.cursor++].command);
+    };
+
+    // Jump to `tick`, restoring the nearest earlier snapshot and replaying
+    // commands from there.
+    Replay.prototype.seek = function(tick) {
+        tick = Math.max(0, Math.min(tick, this.data.ticks));
+        var best = null;
+        this.snapshots.forEach(function(snapshot) {
+            if (snapshot.tick <= tick && (!best || snapshot.tick > best.tick))
+                best = snapshot;
+        });
+        if (tick < this.state.tick || (best && best.tick > this.state.tick))
+            this.restore(best || { cursor: 0, state: this.data.initial });
+        while (this.state.tick < tick)
+            this.stepTick();
+        if (this.isFinished())
+            this.applyCommands();
+    };
+
+    // Advance by `elapsed` milliseconds of wall-clock time. Used by
+    // renderers; headless playback calls seek or stepTick.
+    Replay.prototype.update = function(elapsed) {
+        this.clock.update(elapsed);
+    };
+
+    Replay.prototype.snapshotAt = function(tick) {
+        for (var i = 0; i < this.snapshots.length; i++)
+            if (this.snapshots[i].tick === tick)
+                return this.snapshots[i];
+        return null;
+    };
+
+    return Replay;
+});
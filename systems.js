@@ -0,0 +1,398 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./entities'));
+    } else {
+        root.TD = root.TD || {};
+        root.TD.Systems = factory(root.TD.Entities);
+    }
+})(this, function(Entities) {
+
+    var components = Entities.components;
+
+    var projectileRadius = 8;
+
+    // Each system is a `function(state, dt)` run once per tick, in the order
+    // of GameState.systems. Systems query for the components they act on, so
+    // any entity with a pathFollower walks and any entity with a weapon shoots.
+
+    function spawning(state) {
+        var spawning = state.spawning;
+        if (!spawning || state.time < spawning.nextSpawn)
+            return;
+        state.spawnCreep(spawning.creep);
+        spawning.remaining -= 1;
+        spawning.nextSpawn = state.time + spawning.interval;
+        if (spawning.remaining <= 0)
+            state.spawning = null;
+    }
+
+    // Runs down status effects on simulation time: poison deals its damage
+    // each interval and every effect is dropped once it expires.
+    function statusEffects(state) {
+        state.query('statusEffects', 'health').forEach(function(entity) {
+            var effects = entity.statusEffects.effects;
+            for (var i = 0; i < effects.length; i++) {
+                var effect = effects[i];
+                while (effect.type === 'poison' && effect.nextTick <= state.time && effect.nextTick <= effect.expires) {
+                    effect.nextTick += effect.interval;
+                    state.damage(entity, effect.magnitude * effect.interval / 1000, state.findEntity(effect.source));
+                    if (entity.health.current <= 0)
+                        return;
+                }
+            }
+            entity.statusEffects.effects = effects.filter(function(effect) {
+                if (effect.expires > state.time)
+                    return true;
+                state.events.effectExpired.dispatch(entity, effect);
+                return false;
+            });
+        });
+    }
+
+    function movement(state, dt) {
+        state.query('position', 'pathFollower').forEach(function(entity) {
+            var position = entity.position;
+            var follower = entity.pathFollower;
+            var travel = follower.speed * speedFactor(entity) * dt / 1000;
+            while (travel > 0 && follower.path.length) {
+                var next = follower.path[0];
+                var dx = next.x - position.x;
+                var dy = next.y - position.y;
+                var distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance <= travel) {
+                    position.x = next.x;
+                    position.y = next.y;
+                    follower.path = follower.path.slice(1);
+                    travel -= distance;
+                } else {
+                    position.x += dx / distance * travel;
+                    position.y += dy / distance * travel;
+                    travel = 0;
+                }
+            }
+            follower.distanceRemaining = distanceAlongPath(entity);
+            if (follower.path.length === 0) {
+                state.lives -= 1;
+                state.events.creepLeaked.dispatch(entity);
+                state.removeEntity(entity);
+            }
+        });
+    }
+
+    function projectiles(state, dt) {
+        state.query('position', 'projectile').forEach(function(entity) {
+            var position = entity.position;
+            var projectile = entity.projectile;
+            if (projectile.homing && !steer(state, entity, dt)) {
+                state.removeEntity(entity);
+                return;
+            }
+            position.x += projectile.vx * dt / 1000;
+            position.y += projectile.vy * dt / 1000;
+
+            // Shells aimed at a point fly over creeps and burst there.
+            if (projectile.distance !== null) {
+                var speed = Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy);
+                projectile.distance -= speed * dt / 1000;
+                if (projectile.distance > 0)
+                    return;
+                position.x += projectile.vx / speed * projectile.distance;
+                position.y += projectile.vy / speed * projectile.distance;
+                state.removeEntity(entity);
+                if (state.explode(entity).length)
+                    connected(state, projectile);
+                return;
+            }
+
+            if (position.x < 0 || position.x > state.width || position.y < 0 || position.y > state.height) {
+                state.removeEntity(entity);
+                return;
+            }
+
+            var creep = state.creepAt(position.x, position.y, position.radius, projectile.hits);
+            if (!creep)
+                return;
+            if (!projectile.hits.length)
+                connected(state, projectile);
+            projectile.hits.push(creep.id);
+            if (projectile.splash)
+                state.explode(entity);
+            else
+                state.hit(creep, projectile.damage, state.findEntity(projectile.source), projectile.effects);
+            if (!bounce(state, entity, creep))
+                state.removeEntity(entity);
+        });
+    }
+
+    // Counts a hit for the tower that fired `projectile` the first time it
+    // damages a creep; bounces and splash damage add no more.
+    function connected(state, projectile) {
+        var source = state.findEntity(projectile.source);
+        if (source && source.stats)
+            source.stats.hits += 1;
+    }
+
+    // Turns a homing projectile towards its target, or the nearest creep it
+    // hasn't hit and can see once that is gone. False when it has nothing left to chase
+    // and fizzles.
+    function steer(state, entity, dt) {
+        var projectile = entity.projectile;
+        var position = entity.position;
+        var target = projectile.target !== null ? state.findEntity(projectile.target) : null;
+        if (!target && projectile.homing.retarget) {
+            var nearest = Infinity;
+            state.creeps().forEach(function(creep) {
+                if (projectile.hits.indexOf(creep.id) !== -1 || !state.isVisible(creep))
+                    return;
+                var dx = creep.position.x - position.x;
+                var dy = creep.position.y - position.y;
+                if (dx * dx + dy * dy < nearest) {
+                    nearest = dx * dx + dy * dy;
+                    target = creep;
+                }
+            });
+        }
+        if (!target)
+            return false;
+        projectile.target = target.id;
+
+        var speed = Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy);
+        var heading = Math.atan2(projectile.vy, projectile.vx);
+        var turn = Math.atan2(target.position.y - position.y, target.position.x - position.x) - heading;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        if (projectile.homing.turnRate) {
+            var most = projectile.homing.turnRate * Math.PI / 180 * dt / 1000;
+            turn = Math.max(-most, Math.min(most, turn));
+        }
+        projectile.vx = Math.cos(heading + turn) * speed;
+        projectile.vy = Math.sin(heading + turn) * speed;
+        return true;
+    }
+
+    // Keeps track of how long a beam has been on the same creep.
+    function lock(state, beam, target) {
+        var id = target ? target.id : null;
+        if (beam.locked === id)
+            return;
+        beam.locked = id;
+        beam.since = state.time;
+    }
+
+    // Sends a chain projectile on from the creep it just hit to the nearest
+    // seen creep it hasn't hit yet, weaker by `decay`. False once it is spent.
+    function bounce(state, entity, from) {
+        var projectile = entity.projectile;
+        var chain = projectile.chain;
+        if (!chain || chain.bounces <= 0)
+            return false;
+
+        var next = null;
+        var nearest = Infinity;
+        state.creepsInRange(from.position.x, from.position.y, chain.radius).forEach(function(creep) {
+            if (projectile.hits.indexOf(creep.id) !== -1 || !state.isVisible(creep))
+                return;
+            var dx = creep.position.x - from.position.x;
+            var dy = creep.position.y - from.position.y;
+            if (dx * dx + dy * dy < nearest) {
+                nearest = dx * dx + dy * dy;
+                next = creep;
+            }
+        });
+        if (!next)
+            return false;
+
+        chain.bounces -= 1;
+        projectile.damage *= 1 - chain.decay;
+        projectile.target = next.id;
+        var speed = Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy);
+        var dx = next.position.x - entity.position.x;
+        var dy = next.position.y - entity.position.y;
+        var distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        projectile.vx = dx / distance * speed;
+        projectile.vy = dy / distance * speed;
+        return true;
+    }
+
+    // Every tower picks its own targets among the creeps in its range, so a
+    // creep walking out of range is dropped on the next tick, turns towards
+    // the first, and once it points at it fires on its own cooldown of
+    // `rateOfFire` ms: one projectile at each target it points at.
+    function weapons(state, dt) {
+        state.query('position', 'weapon').forEach(function(tower) {
+            var weapon = tower.weapon;
+            var targets = state.acquireTargets(tower);
+            var target = targets[0] || null;
+            if (weapon.beam)
+                lock(state, weapon.beam, target);
+            if (!target)
+                return;
+            if (!traverse(weapon, Math.atan2(target.position.y - tower.position.y, target.position.x - tower.position.x), dt))
+                return;
+
+            if (state.time < weapon.nextFire)
+                return;
+            // Counted from when it got ready within this tick rather than from
+            // the tick itself, so the rate holds however it falls between
+            // ticks; a tower that sat idle for longer starts over from now.
+            weapon.nextFire = (state.time - weapon.nextFire < dt ? weapon.nextFire : state.time) + weapon.rateOfFire;
+
+            if (weapon.beam) {
+                var ramp = weapon.beam.rampUp ? Math.min(1, (state.time - weapon.beam.since) / weapon.beam.rampUp) : 1;
+                var pulse = weapon.rateOfFire / 1000;
+                var damage = weapon.damage * pulse * (1 + (weapon.beam.maxRamp - 1) * ramp);
+                tower.stats.shots += 1;
+                state.events.towerFired.dispatch(tower, target, null);
+                state.hit(target, damage, tower, null, pulse);
+                tower.stats.hits += 1;
+                return;
+            }
+
+            // A turret firing a volley only hits what it points at.
+            targets.filter(function(target) {
+                return pointsAt(tower, target);
+            }).forEach(function(target) {
+                fire(state, tower, target);
+            });
+        });
+    }
+
+    // Turns `weapon` towards `angle` as far as its turret allows in `dt` ms,
+    // never leaving its arc. True once it points at `angle` closely enough
+    // to fire.
+    function traverse(weapon, angle, dt) {
+        var turret = weapon.turret;
+        if (!turret || !turret.turnRate) {
+            weapon.rotation = angle;
+            return true;
+        }
+        // Measured from the middle of the arc, turning never crosses its back.
+        var facing = turret.arc ? turret.arc.facing : weapon.rotation;
+        var delta = normalizeAngle(angle - facing) - normalizeAngle(weapon.rotation - facing);
+        var most = turret.turnRate * dt / 1000;
+        weapon.rotation = normalizeAngle(weapon.rotation + Math.max(-most, Math.min(most, delta)));
+        return Math.abs(normalizeAngle(angle - weapon.rotation)) <= turret.tolerance;
+    }
+
+    // True when `tower` points at `creep` closely enough to fire at it.
+    function pointsAt(tower, creep) {
+        var turret = tower.weapon.turret;
+        if (!turret || !turret.turnRate)
+            return true;
+        var angle = Math.atan2(creep.position.y - tower.position.y, creep.position.x - tower.position.x);
+        return Math.abs(normalizeAngle(angle - tower.weapon.rotation)) <= turret.tolerance;
+    }
+
+    // True when `creep` is inside the firing arc of `tower`, if it has one.
+    function inArc(tower, creep) {
+        var arc = tower.weapon.turret && tower.weapon.turret.arc;
+        if (!arc)
+            return true;
+        var angle = Math.atan2(creep.position.y - tower.position.y, creep.position.x - tower.position.x);
+        return Math.abs(normalizeAngle(angle - arc.facing)) <= arc.width / 2;
+    }
+
+    // `angle` in radians, between -PI and PI.
+    function normalizeAngle(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
+    function fire(state, tower, target) {
+        var weapon = tower.weapon;
+        var speed = weapon.projectile.speed;
+        var aim = weapon.projectile.aim === 'lead' ? intercept(tower.position, target, speed) : target.position;
+        var dx = aim.x - tower.position.x;
+        var dy = aim.y - tower.position.y;
+        var distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        var splash = weapon.projectile.splash;
+        var projectile = state.addEntity({
+            position: components.position(tower.position.x, tower.position.y, projectileRadius),
+            projectile: components.projectile(tower.id, dx / distance * speed, dy / distance * speed, weapon,
+                                              splash && splash.detonate === 'target' ? distance : null, target.id),
+        });
+        tower.stats.shots += 1;
+        state.events.towerFired.dispatch(tower, target, projectile);
+    }
+
+    // Where a projectile fired now from `from` at `speed` px/s meets
+    // `target`, assuming the creep keeps walking its path at its current
+    // speed. Each pass aims at where the creep will be by the time the
+    // projectile reaches the previous guess.
+    function intercept(from, target, speed) {
+        var point = target.position;
+        for (var i = 0; i < 8; i++) {
+            var dx = point.x - from.x;
+            var dy = point.y - from.y;
+            point = predictPosition(target, Math.sqrt(dx * dx + dy * dy) / speed * 1000);
+        }
+        return point;
+    }
+
+    // Where `entity` will be in `ms` milliseconds walking its path.
+    function predictPosition(entity, ms) {
+        var point = { x: entity.position.x, y: entity.position.y };
+        if (!entity.pathFollower)
+            return point;
+        var travel = entity.pathFollower.speed * speedFactor(entity) * ms / 1000;
+        var path = entity.pathFollower.path;
+        for (var i = 0; i < path.length && travel > 0; i++) {
+            var dx = path[i].x - point.x;
+            var dy = path[i].y - point.y;
+            var distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance <= travel) {
+                point = { x: path[i].x, y: path[i].y };
+                travel -= distance;
+            } else {
+                point = { x: point.x + dx / distance * travel, y: point.y + dy / distance * travel };
+                travel = 0;
+            }
+        }
+        return point;
+    }
+
+    // Share of its speed a creep moves at under its slows and stuns. Several
+    // slows multiply, so they never add up to a full stop.
+    function speedFactor(entity) {
+        var factor = 1;
+        (entity.statusEffects ? entity.statusEffects.effects : []).forEach(function(effect) {
+            if (effect.type === 'stun')
+                factor = 0;
+            else if (effect.type === 'slow')
+                factor *= 1 - effect.magnitude;
+        });
+        return factor;
+    }
+
+    // Armor left after armor shred.
+    function armor(entity) {
+        var amount = entity.armor ? entity.armor.amount : 0;
+        (entity.statusEffects ? entity.statusEffects.effects : []).forEach(function(effect) {
+            if (effect.type === 'armorShred')
+                amount -= effect.magnitude;
+        });
+        return amount;
+    }
+
+    // Distance left to walk through the remaining waypoints.
+    function distanceAlongPath(entity) {
+        var distance = 0;
+        var from = entity.position;
+        entity.pathFollower.path.forEach(function(point) {
+            distance += Math.sqrt(Math.pow(point.x - from.x, 2) + Math.pow(point.y - from.y, 2));
+            from = point;
+        });
+        return distance;
+    }
+
+    return {
+        spawning: spawning,
+        statusEffects: statusEffects,
+        movement: movement,
+        projectiles: projectiles,
+        weapons: weapons,
+        distanceAlongPath: distanceAlongPath,
+        predictPosition: predictPosition,
+        inArc: inArc,
+        speedFactor: speedFactor,
+        armor: armor,
+    };
+});
@@ -0,0 +1,436 @@
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TD = root.TD || {};
+        root.TD.TowerDefinitions = factory();
+    }
+})(this, function() {
+
+    // An upgrade costs `cost` and adds `stats` to the tower's weapon (use
+    // negative numbers to lower a stat, e.g. rateOfFire to fire faster).
+    // Its own `upgrades` become available once it is bought, so a node with
+    // several upgrades is where the tree branches.
+    var upgrade = {
+        type: 'object',
+        fields: {
+            name: { type: 'string', required: true },
+            cost: { type: 'number', min: 0, required: true },
+            stats: {
+                type: 'object',
+                required: true,
+                fields: {
+                    damage: { type: 'number' },
+                    range: { type: 'number' },
+                    rateOfFire: { type: 'number' },
+                    projectileSpeed: { type: 'number' },
+                },
+            },
+        },
+    };
+    upgrade.fields.upgrades = { type: 'array', items: upgrade, unique: 'name' };
+
+    // A timed status effect a projectile puts on every creep it damages, see
+    // entities.js for what each type does and how it stacks by default.
+    var effect = {
+        type: 'object',
+        fields: {
+            type: { type: 'string', oneOf: ['slow', 'poison', 'stun', 'armorShred'], required: true },
+            duration: { type: 'number', above: 0, required: true },
+            magnitude: { type: 'number', min: 0 },
+            stacking: { type: 'string', oneOf: ['refresh', 'stack', 'ignore'] },
+            maxStacks: { type: 'number', min: 1 },
+            // Milliseconds between poison ticks.
+            interval: { type: 'number', above: 0 },
+        },
+    };
+
+    // Every file in towers/ defines one tower type, named after the file:
+    // towers/basic.json is the "basic" tower. Distances are in pixels and
+    // times in milliseconds, like the rest of the simulation.
+    var schema = {
+        name: { type: 'string' },
+        cost: { type: 'number', min: 0, required: true },
+        range: { type: 'number', above: 0, required: true },
+        // Damage and rateOfFire are required for every tower that shoots.
+        // Every shot is a volley at up to `maxTargets` different creeps.
+        maxTargets: { type: 'number', min: 1 },
+        damage: { type: 'number', min: 0 },
+        // Milliseconds between shots.
+        rateOfFire: { type: 'number', above: 0 },
+        // Towers fire either projectiles or a beam, or support others with
+        // an aura.
+        projectile: {
+            type: 'object',
+            fields: {
+                type: { type: 'string', oneOf: ['bullet', 'chain'], required: true },
+                speed: { type: 'number', above: 0, required: true },
+                // 'straight' flies at where the target is when fired, 'lead'
+                // at where it will be by then along its path, and 'homing'
+                // steers after it. Homing projectiles turn at most `turnRate`
+                // degrees per second, and when their target is gone either
+                // go after the nearest creep or, without `retarget`, fizzle.
+                aim: { type: 'string', oneOf: ['straight', 'lead', 'homing'] },
+                homing: {
+                    type: 'object',
+                    fields: {
+                        turnRate: { type: 'number', above: 0 },
+                        retarget: { type: 'boolean' },
+                    },
+                },
+                // Chain projectiles jump from each creep they hit to the
+                // nearest creep within `radius` they haven't hit yet, up to
+                // `bounces` times, losing `decay` of their damage each jump.
+                chain: {
+                    type: 'object',
+                    fields: {
+                        bounces: { type: 'number', min: 1, required: true },
+                        radius: { type: 'number', above: 0, required: true },
+                        decay: { type: 'number', min: 0, max: 1 },
+                    },
+                },
+                // Explode and damage every creep within `radius`, losing
+                // `falloff` of the damage from the centre to the edge.
+                // Detonate on the first creep hit, or only on reaching the
+                // point the target was at when fired.
+                splash: {
+                    type: 'object',
+                    fields: {
+                        radius: { type: 'number', above: 0, required: true },
+                        falloff: { type: 'number', min: 0, max: 1 },
+                        detonate: { type: 'string', oneOf: ['impact', 'target'] },
+                    },
+                },
+                effects: { type: 'array', items: effect },
+            },
+        },
+        // Without a turret a tower turns to its target at once. A turret
+        // turns at `turnRate` degrees per second and only fires once it
+        // points within `tolerance` degrees of its target. A turret with an
+        // `arc` only sees and turns within `width` degrees around `facing`,
+        // in degrees clockwise from pointing right; players may pick another
+        // facing when building it.
+        turret: {
+            type: 'object',
+            fields: {
+                turnRate: { type: 'number', above: 0 },
+                tolerance: { type: 'number', min: 0, max: 180 },
+                arc: {
+                    type: 'object',
+                    fields: {
+                        facing: { type: 'number' },
+                        width: { type: 'number', above: 0, max: 360, required: true },
+                    },
+                },
+            },
+        },
+        // A beam stays on its target and deals `damage` per second, in a hit
+        // every `rateOfFire` ms. Held on one creep for `rampUp` ms it
+        // gradually deals up to `maxRamp` times that. As a faster rate only
+        // means smaller hits, upgrades and auras leave a beam's rate alone.
+        beam: {
+            type: 'object',
+            fields: {
+                rampUp: { type: 'number', above: 0 },
+                maxRamp: { type: 'number', min: 1 },
+            },
+        },
+        // Every tower within `range` of a support tower has its stats raised
+        // by `buffs`, e.g. 0.2 for 20% more damage or a 20% higher fire rate.
+        // Support towers of one type don't add up: only the strongest one
+        // counts, unless its stacking is 'additive'. Different types always
+        // add up. With `reveal`, towers can target hidden creeps in range.
+        aura: {
+            type: 'object',
+            fields: {
+                buffs: {
+                    type: 'object',
+                    required: true,
+                    fields: {
+                        damage: { type: 'number', min: 0 },
+                        range: { type: 'number', min: 0 },
+                        rateOfFire: { type: 'number', min: 0 },
+                    },
+                },
+                stacking: { type: 'string', oneOf: ['strongest', 'additive'] },
+                reveal: { type: 'boolean' },
+            },
+        },
+        // Radius of the tower's base; nothing else can be built inside it.
+        footprint: { type: 'number', above: 0, required: true },
+        // Image path relative to the repository root.
+        sprite: { type: 'string', required: true },
+        upgrades: { type: 'array', items: upgrade, unique: 'name' },
+    };
+
+    // Thrown for an invalid definition. `errors` lists every problem found,
+    // each already prefixed with the file and field it is about.
+    function DefinitionError(file, errors) {
+        this.name = 'DefinitionError';
+        this.file = file;
+        this.errors = errors;
+        this.message = errors.join('\n');
+        this.stack = (new Error(this.message)).stack;
+    }
+    DefinitionError.prototype = Object.create(Error.prototype);
+    DefinitionError.prototype.constructor = DefinitionError;
+
+    // Returns a list of problems with `definition`, empty when it is valid.
+    function validate(definition, file) {
+        var errors = [];
+        check(definition, { type: 'object', fields: schema }, '', errors);
+        var kinds = ['projectile', 'beam', 'aura'].filter(function(kind) {
+            return definition && definition[kind];
+        });
+        if (!errors.length && kinds.length !== 1)
+            errors.push('definition needs exactly one of projectile, beam and aura, got ' + (kinds.join(', ') || 'none'));
+        if (!errors.length && definition.aura && definition.turret)
+            errors.push('turret only applies to towers that shoot');
+        if (!errors.length && !definition.aura) {
+            ['damage', 'rateOfFire'].forEach(function(field) {
+                if (definition[field] === undefined)
+                    errors.push(field + ' is required');
+            });
+        }
+        if (!errors.length && definition.maxTargets !== undefined) {
+            if (definition.maxTargets % 1 !== 0)
+                errors.push('maxTargets must be a whole number, got ' + definition.maxTargets);
+            if (!definition.projectile && definition.maxTargets !== 1)
+                errors.push('maxTargets only applies to towers that fire projectiles');
+        }
+        if (!errors.length && definition.projectile) {
+            checkChain(definition, errors);
+            checkAim(definition, errors);
+            checkEffects(definition, errors);
+        }
+        if (!errors.length)
+            checkUpgradedStats(definition, errors);
+        return errors.map(function(error) {
+            return file + ': ' + error;
+        });
+    }
+
+    function checkChain(definition, errors) {
+        var projectile = definition.projectile;
+        if (projectile.type === 'chain' && !projectile.chain)
+            errors.push('projectile.chain is required for chain projectiles');
+        if (projectile.type !== 'chain' && projectile.chain)
+            errors.push('projectile.chain only applies to chain projectiles, not ' + projectile.type);
+        if (projectile.chain && projectile.chain.bounces % 1 !== 0)
+            errors.push('projectile.chain.bounces must be a whole number, got ' + projectile.chain.bounces);
+    }
+
+    function checkAim(definition, errors) {
+        var projectile = definition.projectile;
+        if (projectile.homing && projectile.aim !== 'homing')
+            errors.push('projectile.homing only applies when projectile.aim is homing');
+        if (projectile.aim === 'homing' && projectile.splash && projectile.splash.detonate === 'target')
+            errors.push('homing projectiles have no target point, projectile.splash.detonate must be impact');
+    }
+
+    // Rules the schema can't express because they depend on the effect type.
+    function checkEffects(definition, errors) {
+        (definition.projectile.effects || []).forEach(function(effect, i) {
+            var name = 'projectile.effects[' + i + ']';
+            if (effect.type !== 'stun' && effect.magnitude === undefined)
+                errors.push(name + '.magnitude is required for ' + effect.type);
+            if (effect.type === 'slow' && effect.magnitude > 1)
+                errors.push(name + '.magnitude of a slow is the share of speed taken away and must be at most 1, got ' + effect.magnitude);
+        });
+    }
+
+    // Stats a weapon can have, with the lowest value upgrades may take them to.
+    var upgradeLimits = {
+        damage: { get: function(d) { return d.damage; }, min: 0 },
+        range: { get: function(d) { return d.range; }, above: 0 },
+        rateOfFire: { get: function(d) { return d.beam ? undefined : d.rateOfFire; }, above: 0 },
+        projectileSpeed: { get: function(d) { return d.projectile && d.projectile.speed; }, above: 0 },
+    };
+
+    // Walk every path through the upgrade tree and make sure no combination
+    // of upgrades takes a stat somewhere the simulation can't handle.
+    function checkUpgradedStats(definition, errors) {
+        var base = {};
+        for (var stat in upgradeLimits)
+            if (upgradeLimits[stat].get(definition) !== undefined)
+                base[stat] = upgradeLimits[stat].get(definition);
+
+        (function walk(upgrades, stats, path) {
+            (upgrades || []).forEach(function(upgrade, i) {
+                var name = path + '[' + i + ']';
+                for (var changed in upgrade.stats)
+                    if (!stats.hasOwnProperty(changed))
+                        errors.push(name + '.stats.' + changed + ' does not apply to this tower');
+                var next = {};
+                for (var stat in stats) {
+                    var limit = upgradeLimits[stat];
+                    next[stat] = stats[stat] + (upgrade.stats[stat] || 0);
+                    if ((limit.min !== undefined && next[stat] < limit.min) || (limit.above !== undefined && next[stat] <= limit.above))
+                        errors.push(name + '.stats.' + stat + ' brings ' + stat + ' to ' + next[stat]);
+                }
+                walk(upgrade.upgrades, next, name + '.upgrades');
+            });
+        })(definition.upgrades, base, 'upgrades');
+    }
+
+    function check(value, rule, path, errors) {
+        var name = path || 'definition';
+        if (value === undefined) {
+            if (rule.required)
+                errors.push(name + ' is required');
+            return;
+        }
+
+        switch (rule.type) {
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value))
+                    return errors.push(name + ' must be a number, got ' + JSON.stringify(value));
+                if (rule.min !== undefined && value < rule.min)
+                    errors.push(name + ' must be at least ' + rule.min + ', got ' + value);
+                if (rule.above !== undefined && value <= rule.above)
+                    errors.push(name + ' must be greater than ' + rule.above + ', got ' + value);
+                if (rule.max !== undefined && value > rule.max)
+                    errors.push(name + ' must be at most ' + rule.max + ', got ' + value);
+                return;
+            case 'string':
+                if (typeof value !== 'string')
+                    return errors.push(name + ' must be a string, got ' + JSON.stringify(value));
+                if (rule.oneOf && rule.oneOf.indexOf(value) === -1)
+                    errors.push(name + ' must be one of ' + rule.oneOf.join(', ') + ', got ' + JSON.stringify(value));
+                return;
+            case 'boolean':
+                if (typeof value !== 'boolean')
+                    errors.push(name + ' must be true or false, got ' + JSON.stringify(value));
+                return;
+            case 'array':
+                if (!Array.isArray(value))
+                    return errors.push(name + ' must be a list, got ' + JSON.stringify(value));
+                var seen = {};
+                value.forEach(function(item, i) {
+                    check(item, rule.items, name + '[' + i + ']', errors);
+                    if (!rule.unique || !item || typeof item[rule.unique] !== 'string')
+                        return;
+                    if (seen.hasOwnProperty(item[rule.unique]))
+                        errors.push(name + '[' + i + '].' + rule.unique + ' ' + JSON.stringify(item[rule.unique]) + ' is already used by ' + name + '[' + seen[item[rule.unique]] + ']');
+                    seen[item[rule.unique]] = i;
+                });
+                return;
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value))
+                    return errors.push(name + ' must be an object, got ' + JSON.stringify(value));
+                var prefix = path ? path + '.' : '';
+                for (var key in rule.fields)
+                    check(value[key], rule.fields[key], prefix + key, errors);
+                for (key in value)
+                    if (!rule.fields.hasOwnProperty(key))
+                        errors.push(prefix + key + ' is not a known field');
+                return;
+        }
+    }
+
+    // Upgrades a tower of this definition can buy next, given the names of
+    // the upgrades it already has in the order they were bought.
+    function availableUpgrades(definition, bought) {
+        var options = definition.upgrades || [];
+        for (var i = 0; i < bought.length; i++)
+            options = (findUpgrade(options, bought[i]) || {}).upgrades || [];
+        return options;
+    }
+
+    function findUpgrade(options, name) {
+        for (var i = 0; i < options.length; i++)
+            if (options[i].name === name)
+                return options[i];
+        return null;
+    }
+
+    // Parse and validate the contents of one definition file, throwing a
+    // DefinitionError listing everything wrong with it.
+    function parse(file, text) {
+        var definition;
+        try {
+            definition = JSON.parse(text);
+        } catch (e) {
+            throw new DefinitionError(file, [file + ': invalid JSON, ' + e.message]);
+        }
+        var errors = validate(definition, file);
+        if (errors.length)
+            throw new DefinitionError(file, errors);
+        return definition;
+    }
+
+    // Node only: read every .json file in `directory` into a map of type name
+    // to definition. Problems in all files are reported together.
+    function load(directory) {
+        var fs = require('fs');
+        var path = require('path');
+        var definitions = {};
+        var errors = [];
+        fs.readdirSync(directory).sort().forEach(function(file) {
+            if (path.extname(file) !== '.json')
+                return;
+            var location = path.join(directory, file);
+            try {
+                definitions[path.basename(file, '.json')] = parse(location, fs.readFileSync(location, 'utf8'));
+            } catch (e) {
+                if (!(e instanceof DefinitionError))
+                    throw e;
+                errors = errors.concat(e.errors);
+            }
+        });
+        if (errors.length)
+            throw new DefinitionError(directory, errors);
+        return definitions;
+    }
+
+    // Browser only: fetch the named definitions from `baseUrl` (which ends in
+    // a slash) and call back with `(error, definitions)`, always
+    // asynchronously and exactly once.
+    function fetch(names, baseUrl, callback) {
+        var definitions = {};
+        var pending = names.length;
+        var failed = false;
+        function fail(error) {
+            if (failed)
+                return;
+            failed = true;
+            callback(error);
+        }
+        if (!pending)
+            return setTimeout(callback.bind(null, null, definitions), 0);
+        names.forEach(function(name) {
+            var file = baseUrl + name + '.json';
+            var request = new XMLHttpRequest();
+            request.onload = function() {
+                if (failed)
+                    return;
+                try {
+                    if (request.status !== 200 && request.status !== 0)
+                        throw new DefinitionError(file, [file + ': request failed with status ' + request.status]);
+                    definitions[name] = parse(file, request.responseText);
+                } catch (e) {
+                    return fail(e);
+                }
+                if (--pending === 0)
+                    callback(null, definitions);
+            };
+            // Network errors, and browsers refusing file:// requests.
+            request.onerror = function() {
+                fail(new DefinitionError(file, [file + ': request failed, the file could not be loaded']));
+            };
+            request.open('GET', file);
+            request.send();
+        });
+    }
+
+    return {
+        schema: schema,
+        DefinitionError: DefinitionError,
+        validate: validate,
+        availableUpgrades: availableUpgrades,
+        findUpgrade: findUpgrade,
+        parse: parse,
+        load: load,
+        fetch: fetch,
+    };
+});